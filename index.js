@@ -4,23 +4,44 @@
 
 const IrcClient = require('./src/IrcClient.js')
 const IrcFloodPreventer = require('./src/IrcFloodPreventer.js')
+const IrcReconnectPolicy = require('./src/IrcReconnectPolicy.js')
+const IrcCapabilities = require('./src/IrcCapabilities.js')
+const IrcMonitor = require('./src/IrcMonitor.js')
 const IrcUser = require('./src/IrcUser.js')
 const IrcLocalUser = require('./src/IrcLocalUser.js')
 const IrcServer = require('./src/IrcServer.js')
 const IrcChannel = require('./src/IrcChannel.js')
 const IrcChannelUser = require('./src/IrcChannelUser.js')
 const IrcChannelType = require('./src/IrcChannelType.js')
+const IrcConnectionSecurity = require('./src/IrcConnectionSecurity.js')
+const IrcProxyType = require('./src/IrcProxyType.js')
+const IrcTransport = require('./src/IrcTransport.js')
+const IrcSocketTransport = require('./src/IrcSocketTransport.js')
+const IrcStreamTransport = require('./src/IrcStreamTransport.js')
+const IrcWebSocketTransport = require('./src/IrcWebSocketTransport.js')
 
 const CtcpClient = require('./src/CtcpClient.js')
+const { QueryError, QueryTimeoutError } = require('./src/Errors.js')
 
 module.exports = {
   IrcClient: IrcClient,
   IrcFloodPreventer: IrcFloodPreventer,
+  IrcReconnectPolicy: IrcReconnectPolicy,
+  IrcCapabilities: IrcCapabilities,
+  IrcMonitor: IrcMonitor,
   IrcUser: IrcUser,
   IrcLocalUser: IrcLocalUser,
   IrcServer: IrcServer,
   IrcChannel: IrcChannel,
   IrcChannelUser: IrcChannelUser,
   IrcChannelType: IrcChannelType,
-  CtcpClient: CtcpClient
+  IrcConnectionSecurity: IrcConnectionSecurity,
+  IrcProxyType: IrcProxyType,
+  IrcTransport: IrcTransport,
+  IrcSocketTransport: IrcSocketTransport,
+  IrcStreamTransport: IrcStreamTransport,
+  IrcWebSocketTransport: IrcWebSocketTransport,
+  CtcpClient: CtcpClient,
+  QueryError: QueryError,
+  QueryTimeoutError: QueryTimeoutError
 }
@@ -213,6 +213,11 @@ class CtcpClient extends EventEmitter {
       return false
     }
 
+    // With echo-message, the requests and responses sent by the local user are relayed back to it.
+    if (e.source === this.client.localUser) {
+      return true
+    }
+
     let message = {
       'source': e.source,
       'targets': e.targets,
@@ -134,9 +134,114 @@ class ProtocolViolationError extends ExtendableError {
   }
 }
 
+/**
+ * The error that is thrown when a connection could not be tunneled through a proxy server.
+ *
+ * @package
+ * @extends external:Error
+ */
+class ProxyError extends ExtendableError {
+  /**
+   * A human-readable description of the error.
+   * @hideconstructor
+   * @param {String} reason A machine-readable reason, such as 'proxyAuthenticationFailed'.
+   * @param {String} message A human-readable description of the error.
+   */
+  constructor (reason, message) {
+    super(message)
+    this._reason = reason
+  }
+
+  /** Error reason. */
+  get reason () {
+    return this._reason
+  }
+
+  /** Error message. */
+  get message () {
+    return super.message
+  }
+
+  /** Error name. */
+  get name () {
+    return super.name
+  }
+}
+
+/**
+ * The error that is thrown when the server replies to a query with an error.
+ *
+ * @package
+ * @extends external:Error
+ */
+class QueryError extends ExtendableError {
+  /**
+   * A human-readable description of the error.
+   * @hideconstructor
+   * @param {String} errorName The name of the error reply, such as 'ERR_NOSUCHNICK'.
+   * @param {number} code The numeric of the error reply, such as 401.
+   * @param {String} message A human-readable description of the error.
+   */
+  constructor (errorName, code, message) {
+    super(message)
+    this._errorName = errorName
+    this._code = code
+  }
+
+  /** Error reply name. */
+  get errorName () {
+    return this._errorName
+  }
+
+  /** Error reply numeric. */
+  get code () {
+    return this._code
+  }
+
+  /** Error message. */
+  get message () {
+    return super.message
+  }
+
+  /** Error name. */
+  get name () {
+    return super.name
+  }
+}
+
+/**
+ * The error that is thrown when the server does not reply to a query in time.
+ *
+ * @package
+ * @extends external:Error
+ */
+class QueryTimeoutError extends ExtendableError {
+  /**
+   * A human-readable description of the error.
+   * @hideconstructor
+   * @param {String} message A human-readable description of the error.
+   */
+  constructor (message) { // eslint-disable-line no-useless-constructor
+    super(message)
+  }
+
+  /** Error message. */
+  get message () {
+    return super.message
+  }
+
+  /** Error name. */
+  get name () {
+    return super.name
+  }
+}
+
 module.exports = {
   ArgumentError: ArgumentError,
   ArgumentNullError: ArgumentNullError,
   InvalidOperationError: InvalidOperationError,
-  ProtocolViolationError: ProtocolViolationError
+  ProtocolViolationError: ProtocolViolationError,
+  ProxyError: ProxyError,
+  QueryError: QueryError,
+  QueryTimeoutError: QueryTimeoutError
 }
@@ -0,0 +1,119 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+/**
+ * Represents the IRCv3 capabilities the server offers to an {@link IrcClient}, and those that are enabled.
+ *
+ * Capability names are case-sensitive.
+ *
+ * @class
+ * @public
+ */
+class IrcCapabilities {
+  /**
+   * Constructs a new, empty IrcCapabilities.
+   *
+   * @hideconstructor
+   */
+  constructor () {
+    this._available = {}
+    this._enabled = []
+  }
+
+  /**
+   * Gets the capabilities offered by the server, each mapped to its value, or null if it has no value.
+   *
+   * @public
+   * @return {Object} The available capabilities.
+   */
+  get available () {
+    return Object.assign({}, this._available)
+  }
+
+  /**
+   * Gets the names of the capabilities that are enabled.
+   *
+   * @public
+   * @return {string[]} The enabled capabilities.
+   */
+  get enabled () {
+    return this._enabled.slice()
+  }
+
+  /**
+   * Gets whether the server offers the specified capability.
+   *
+   * @public
+   * @param {string} name The name of the capability.
+   * @return {boolean} True if the capability is available; otherwise false.
+   */
+  isAvailable (name) {
+    return name in this._available
+  }
+
+  /**
+   * Gets whether the specified capability is enabled.
+   *
+   * @public
+   * @param {string} name The name of the capability.
+   * @return {boolean} True if the capability is enabled; otherwise false.
+   */
+  isEnabled (name) {
+    return this._enabled.includes(name)
+  }
+
+  /**
+   * Gets the value of the specified capability, e.g. the list of mechanisms for 'sasl'.
+   *
+   * @public
+   * @param {string} name The name of the capability.
+   * @return {string} The value, or null if the capability is unavailable or has no value.
+   */
+  getValue (name) {
+    return this._available[name] || null
+  }
+
+  /** @package */
+  capabilitiesAvailable (capabilities) {
+    Object.assign(this._available, capabilities)
+  }
+
+  /** @package */
+  capabilitiesUnavailable (names) {
+    names.forEach(name => delete this._available[name])
+    this.capabilitiesDisabled(names)
+  }
+
+  /** @package */
+  capabilitiesEnabled (names) {
+    names.forEach(name => {
+      if (!this._enabled.includes(name)) {
+        this._enabled.push(name)
+      }
+    })
+  }
+
+  /** @package */
+  capabilitiesDisabled (names) {
+    this._enabled = this._enabled.filter(name => !names.includes(name))
+  }
+
+  /** @package */
+  cleared () {
+    this._available = {}
+    this._enabled = []
+  }
+
+  /**
+   * Returns a string representation of this instance.
+   *
+   * @public
+   * @return {string} A string that represents this instance.
+   */
+  toString () {
+    return this._enabled.join(' ')
+  }
+}
+
+module.exports = IrcCapabilities
@@ -6,7 +6,11 @@ const events = require('events')
 const { EventEmitter } = events
 const IrcUtils = require('./IrcUtils.js')
 const IrcChannelType = require('./IrcChannelType.js')
-const { ArgumentNullError } = require('./Errors.js')
+const IrcTypingTracker = require('./IrcTypingTracker.js')
+const { ArgumentNullError, ArgumentError, InvalidOperationError } = require('./Errors.js')
+
+const typingStates = ['active', 'paused', 'done']
+const typingThrottleInterval = 3000
 
 /**
  * Represents an IRC channel that exists on a specific IrcClient.
@@ -42,6 +46,17 @@ class IrcChannel extends EventEmitter {
     this._channelType = IrcChannelType.unspecified
     this._modes = new Set([])
     this._users = []
+    this._typingState = 'done'
+    this._typingTime = 0
+    this._typingTracker = new IrcTypingTracker((source, state, time) => {
+      /**
+       * @event IrcChannel#typing
+       * @param {IrcUser} source
+       * @param {string} state The state; one of 'active', 'paused' or 'done'.
+       * @param {Date} time
+       */
+      this.emit('typing', source, state, time)
+    })
   }
 
   /**
@@ -119,6 +134,20 @@ class IrcChannel extends EventEmitter {
     return this.users.find(u => u.user === user)
   }
 
+  /**
+   * Requests the messages sent to the channel, as stored by the server, and waits for them.
+   * See {@link IrcClient#getChatHistoryAsync}.
+   *
+   * @public
+   * @param {string} [subcommand='LATEST'] One of 'LATEST', 'BEFORE', 'AFTER', 'AROUND' or 'BETWEEN'.
+   * @param {Array<Date|string>} [references] The times or msgids relative to which to find the messages.
+   * @param {number} [limit] The maximum number of messages to return.
+   * @return {Promise<Object[]>} A promise that resolves with the messages.
+   */
+  getHistoryAsync (subcommand = 'LATEST', references = [], limit = null) {
+    return this.client.getChatHistoryAsync(this.name, subcommand, references, limit)
+  }
+
   /**
    * Requests a list of the current modes of the channel, or if modes is specified, the settings for the specified modes.
    *
@@ -208,35 +237,125 @@ class IrcChannel extends EventEmitter {
   /**
    * Sends a PRIVMSG to the current channel.
    *
+   * With echo-message, the message event is fired once the server relays the message back, with the tags and
+   * time given by the server; otherwise it is fired right away.
+   *
    * @public
    * @fires IrcChannel#message
    * @param {string} messageText The message to send.
+   * @param {Object} [tags] The tags to send with the message, e.g. client-only tags such as '+draft/reply'.
    */
-  sendMessage (messageText) {
-    this.client.sendMessage([this.name], messageText)
+  sendMessage (messageText, tags = null) {
+    this.client.sendMessage([this.name], messageText, tags)
+    this._typingState = 'done'
+    if (this.client.capabilities.isEnabled('echo-message')) {
+      return
+    }
+
     /**
      * @event IrcChannel#message
      * @param {IrcUser} user
      * @param {string} messageText
+     * @param {Object} tags
+     * @param {Date} time
      */
-    this.emit('message', this.client.localUser, messageText)
+    this.emit('message', this.client.localUser, messageText, tags || {}, new Date())
+  }
+
+  /**
+   * Notifies the channel that the local user is typing, has paused typing, or is done typing.
+   *
+   * A notification of the same state is sent at most every 3 seconds, so it is safe to call this on every
+   * keystroke. Nothing is sent if the server does not allow typing notifications.
+   *
+   * @public
+   * @throws {ArgumentError} if the state is invalid.
+   * @param {string} state The state; one of 'active', 'paused' or 'done'.
+   */
+  setTyping (state) {
+    if (!typingStates.includes(state)) {
+      throw new ArgumentError(`The typing state '${state}' is invalid.`)
+    }
+
+    if (!this.client.canSendTag('+typing')) {
+      return
+    }
+
+    let now = Date.now()
+    if (state === this._typingState && (state === 'done' || now - this._typingTime < typingThrottleInterval)) {
+      return
+    }
+
+    this._typingState = state
+    this._typingTime = now
+    this.client.sendTagMessage([this.name], { '+typing': state })
+  }
+
+  /**
+   * Sends a PRIVMSG to the current channel, in reply to the specified message.
+   *
+   * @public
+   * @fires IrcChannel#message
+   * @throws {InvalidOperationError} if the server does not allow the reply tag.
+   * @param {string} messageId The msgid of the message to reply to.
+   * @param {string} messageText The message to send.
+   */
+  reply (messageId, messageText) {
+    if (!messageId) {
+      throw new ArgumentNullError('messageId')
+    }
+
+    if (!this.client.canSendTag('+draft/reply')) {
+      throw new InvalidOperationError('The server does not allow replies.')
+    }
+
+    this.sendMessage(messageText, { '+draft/reply': messageId })
+  }
+
+  /**
+   * Reacts to the specified message with the specified emoji, or other short text.
+   *
+   * @public
+   * @throws {InvalidOperationError} if the server does not allow the reaction and reply tags.
+   * @param {string} messageId The msgid of the message to react to.
+   * @param {string} emoji The reaction.
+   */
+  react (messageId, emoji) {
+    if (!messageId) {
+      throw new ArgumentNullError('messageId')
+    }
+
+    if (!this.client.canSendTag('+draft/react') || !this.client.canSendTag('+draft/reply')) {
+      throw new InvalidOperationError('The server does not allow reactions.')
+    }
+
+    this.client.sendTagMessage([this.name], { '+draft/react': emoji, '+draft/reply': messageId })
   }
 
   /**
    * Sends a NOTICE to the current channel.
    *
+   * With echo-message, the notice event is fired once the server relays the notice back.
+   *
    * @public
    * @fires IrcChannel#notice
    * @param {string} noticeText The notice to send.
+   * @param {Object} [tags] The tags to send with the notice.
    */
-  sendNotice (noticeText) {
-    this.client.sendNotice([this.name], noticeText)
+  sendNotice (noticeText, tags = null) {
+    this.client.sendNotice([this.name], noticeText, tags)
+    if (this.client.capabilities.isEnabled('echo-message')) {
+      return
+    }
+
     /**
      * @event IrcChannel#notice
      * @param {IrcUser} user
      * @param {string} noticeText
+     * @param {Object} tags
+     * @param {Date} time
      */
-    this.emit('notice', this.client.localUser, noticeText)
+    this.emit('notice', this.client.localUser, noticeText, tags || {}, new Date())
   }
 
   /**
@@ -249,7 +368,7 @@ class IrcChannel extends EventEmitter {
     return this.name
   }
 
-  userJoined (channelUser) {
+  userJoined (channelUser, time = new Date()) {
     let existingChannelUser = this._users.find(
       cu => cu.user.nickName.localeCompare(channelUser.user.nickName, undefined, { sensitivity: 'base' }) === 0)
     
@@ -263,11 +382,12 @@ class IrcChannel extends EventEmitter {
     /**
      * @event IrcChannel#userJoinedChannel
      * @param {IrcChannelUser} channelUser
+     * @param {Date} time
      */
-    this.emit('userJoinedChannel', channelUser)
+    this.emit('userJoinedChannel', channelUser, time)
   }
 
-  userParted (channelUser, comment) {
+  userParted (channelUser, comment, time = new Date()) {
     let existingChannelUser = this._users.find(
       cu => cu.user.nickName.localeCompare(channelUser.user.nickName, undefined, { sensitivity: 'base' }) === 0)
 
@@ -278,24 +398,67 @@ class IrcChannel extends EventEmitter {
     /**
      * @event IrcChannel#userLeftChannel
      * @param {IrcChannelUser} channelUser
+     * @param {string} comment
+     * @param {Date} time
      */
-    this.emit('userLeftChannel', existingChannelUser, comment)
+    this.emit('userLeftChannel', existingChannelUser, comment, time)
   }
 
-  userQuit (channelUser, comment) {
+  userHostChanged (channelUser, time = new Date()) {
+    /**
+     * @event IrcChannel#userHostChanged
+     * @param {IrcChannelUser} channelUser
+     * @param {Date} time
+     */
+    this.emit('userHostChanged', channelUser, time)
+  }
+
+  userRealNameChanged (channelUser, time = new Date()) {
+    /**
+     * @event IrcChannel#userRealNameChanged
+     * @param {IrcChannelUser} channelUser
+     * @param {Date} time
+     */
+    this.emit('userRealNameChanged', channelUser, time)
+  }
+
+  userQuit (channelUser, comment, time = new Date()) {
     let existingChannelUser = this._users.find(
       cu => cu.user.nickName.localeCompare(channelUser.user.nickName, undefined, { sensitivity: 'base' }) === 0)
 
     if (existingChannelUser) {
-      this._users.splice(this._users.indexOf(existingChannelUser))
+      this._users.splice(this._users.indexOf(existingChannelUser), 1)
     }
 
     /**
      * @event IrcChannel#userQuit
      * @param {IrcChannelUser} channelUser
      * @param {string} comment
+     * @param {Date} time
+     */
+    this.emit('userQuit', existingChannelUser, comment, time)
+  }
+
+  usersSplit (channelUsers, servers, time = new Date()) {
+    this._users = this._users.filter(cu => !channelUsers.includes(cu))
+
+    /**
+     * @event IrcChannel#netsplit
+     * @param {IrcChannelUser[]} channelUsers
+     * @param {string[]} servers
+     * @param {Date} time
      */
-    this.emit('userQuit', existingChannelUser, comment)
+    this.emit('netsplit', channelUsers, servers, time)
+  }
+
+  usersRejoined (channelUsers, servers, time = new Date()) {
+    /**
+     * @event IrcChannel#netjoin
+     * @param {IrcChannelUser[]} channelUsers
+     * @param {string[]} servers
+     * @param {Date} time
+     */
+    this.emit('netjoin', channelUsers, servers, time)
   }
 
   userInvited (user) {
@@ -306,7 +469,7 @@ class IrcChannel extends EventEmitter {
     this.emit('userInvite', user)
   }
 
-  userKicked (source, channelUser, comment = null) {
+  userKicked (source, channelUser, comment = null, time = new Date()) {
     let existingChannelUser = this._users.find(
       cu => cu.user.nickName.localeCompare(channelUser.user.nickName, undefined, { sensitivity: 'base' }) === 0)
 
@@ -318,8 +481,13 @@ class IrcChannel extends EventEmitter {
      * @event IrcChannel#userKicked
      * @param {IrcChannelUser} channelUser
      * @param {string} comment
+     * @param {Date} time
      */
-    this.emit('userKicked', source, existingChannelUser, comment)
+    this.emit('userKicked', source, existingChannelUser, comment, time)
+  }
+
+  usersCleared () {
+    this._users = []
   }
 
   userNameReply (channelUser) {
@@ -334,17 +502,18 @@ class IrcChannel extends EventEmitter {
     this._users.push(channelUser)
   }
 
-  topicChanged (user, newTopic) {
+  topicChanged (user, newTopic, time = new Date()) {
     this._topic = newTopic
     /**
      * @event IrcChannel#topic
      * @param {IrcUser} user
      * @param {string} newTopic
+     * @param {Date} time
      */
-    this.emit('topic', user, newTopic)
+    this.emit('topic', user, newTopic, time)
   }
 
-  modesChanged (source, newModes, newModeParameters) {
+  modesChanged (source, newModes, newModeParameters, time = new Date()) {
     this._modes = IrcUtils.updateModes(this._modes,
       newModes,
       newModeParameters,
@@ -362,8 +531,9 @@ class IrcChannel extends EventEmitter {
      * @param {IrcUser} source
      * @param {string[]} modes
      * @param {string[]} parameters
+     * @param {Date} time
      */
-    this.emit('modes', source, newModes, newModeParameters)
+    this.emit('modes', source, newModes, newModeParameters, time)
   }
 
   actionReceived (source, targets, messageText) {
@@ -375,14 +545,27 @@ class IrcChannel extends EventEmitter {
     this.emit('action', source, messageText)
   }
 
-  messageReceived (source, targets, messageText) {
-    let previewMessageEventArgs = { 'handled': false, 'source': source, 'targets': targets, 'text': messageText }
+  messageReceived (source, targets, messageText, tags = {}, time = new Date()) {
+    this._typingTracker.messageReceived(source, time)
+
+    let previewMessageEventArgs = {
+      'handled': false,
+      'source': source,
+      'targets': targets,
+      'text': messageText,
+      'tags': tags,
+      'msgid': tags.msgid || null,
+      'time': time
+    }
     /**
      * @event IrcChannel#previewMessage
      * @property {boolean} handled
      * @property {IrcUser|IrcChannel} source
      * @property {string[]} targets
      * @property {string} messageText
+     * @property {Object} tags
+     * @property {string} msgid
+     * @property {Date} time
      */
     this.emit('previewMessage', previewMessageEventArgs)
 
@@ -391,19 +574,79 @@ class IrcChannel extends EventEmitter {
      * @event IrcChannel#message
      * @param {IrcUser|IrcChannel} source
      * @param {string} messageText
+     * @param {Object} tags
+     * @param {Date} time
+     */
+      this.emit('message', source, messageText, tags, time)
+
+      if (tags['+draft/reply']) {
+        /**
+         * @event IrcChannel#reply
+         * @param {IrcUser|IrcChannel} source
+         * @param {string} messageId The msgid of the message replied to.
+         * @param {string} messageText
+         * @param {Object} tags
+         * @param {Date} time
+         */
+        this.emit('reply', source, tags['+draft/reply'], messageText, tags, time)
+      }
+    }
+  }
+
+  /**
+   * Forgets who is typing, without reporting it, e.g. when the connection is closed.
+   *
+   * @package
+   */
+  clearTyping () {
+    this._typingTracker.clear()
+  }
+
+  tagMessageReceived (source, targets, tags, time = new Date()) {
+    /**
+     * @event IrcChannel#tagMessage
+     * @param {IrcUser|IrcChannel} source
+     * @param {Object} tags
+     * @param {Date} time
      */
-      this.emit('message', source, messageText)
+    this.emit('tagMessage', source, tags, time)
+
+    let typingState = tags['+typing'] || tags['+draft/typing']
+    if (typingState) {
+      this._typingTracker.typingReceived(source, typingState, time)
+    }
+
+    if (tags['+draft/react'] && tags['+draft/reply']) {
+      /**
+       * @event IrcChannel#reaction
+       * @param {IrcUser|IrcChannel} source
+       * @param {string} messageId The msgid of the message reacted to.
+       * @param {string} emoji
+       * @param {Date} time
+       */
+      this.emit('reaction', source, tags['+draft/reply'], tags['+draft/react'], time)
     }
   }
 
-  noticeReceived (source, targets, noticeText) {
-    let previewNoticeEventArgs = { 'handled': false, 'source': source, 'targets': targets, 'text': noticeText }
+  noticeReceived (source, targets, noticeText, tags = {}, time = new Date()) {
+    let previewNoticeEventArgs = {
+      'handled': false,
+      'source': source,
+      'targets': targets,
+      'text': noticeText,
+      'tags': tags,
+      'msgid': tags.msgid || null,
+      'time': time
+    }
     /**
      * @event IrcChannel#previewNotice
      * @property {boolean} handled
      * @property {IrcUser|IrcChannel} source
      * @property {string[]} targets
      * @property {string} noticeText
+     * @property {Object} tags
+     * @property {string} msgid
+     * @property {Date} time
      */
     this.emit('previewNotice', previewNoticeEventArgs)
 
@@ -412,8 +655,10 @@ class IrcChannel extends EventEmitter {
        * @event IrcChannel#notice
        * @param {IrcUser|IrcChannel} source
        * @param {string} noticeText
+       * @param {Object} tags
+       * @param {Date} time
        */
-      this.emit('notice', source, noticeText)
+      this.emit('notice', source, noticeText, tags, time)
     }
   }
 
@@ -3,19 +3,38 @@
 'use strict'
 
 const net = require('net')
-const tls = require('tls')
 const events = require('events')
 const uuidv4 = require('uuid/v4')
+const iconv = require('iconv-lite')
 
 const { EventEmitter } = events
 
 const IrcUser = require('./IrcUser.js')
 const IrcLocalUser = require('./IrcLocalUser.js')
 const IrcServer = require('./IrcServer.js')
+const IrcConnectionSecurity = require('./IrcConnectionSecurity.js')
+const IrcSocketTransport = require('./IrcSocketTransport.js')
+const IrcLineSplitter = require('./IrcLineSplitter.js')
+const IrcQueryTracker = require('./IrcQueryTracker.js')
+const IrcLabeledResponseTracker = require('./IrcLabeledResponseTracker.js')
+const IrcCapabilities = require('./IrcCapabilities.js')
+const IrcMonitor = require('./IrcMonitor.js')
+const IrcSaslAuthenticator = require('./IrcSaslAuthenticator.js')
 const IrcMessageProcessor = require('./IrcMessageProcessor.js')
-const { ArgumentNullError, ArgumentError } = require('./Errors.js')
+const { ArgumentNullError, ArgumentError, InvalidOperationError, ProtocolViolationError } = require('./Errors.js')
 
 const maxParamsCount = 15
+const maxRedirects = 5
+const utf8Decoder = new TextDecoder('utf-8', { 'fatal': true })
+const crlf = Buffer.from('\r\n')
+const defaultQueryTimeout = 30000
+const maxCapabilityRequestLength = 400
+const maxAuthenticateChunkLength = 400
+const maxOutgoingTagsLength = 4096 // 4094 bytes of tag data, plus the leading '@' and the trailing space.
+const defaultChatHistoryLimit = 100
+const chatHistorySubcommands = ['LATEST', 'BEFORE', 'AFTER', 'AROUND', 'BETWEEN']
+const tagValueEscapes = { ';': '\\:', ' ': '\\s', '\\': '\\\\', '\r': '\\r', '\n': '\\n' }
+const tagValueUnescapes = { ':': ';', 's': ' ', '\\': '\\', 'r': '\r', 'n': '\n' }
 
 /**
  * Represents a client that communicates with a server using the IRC (Internet Relay Chat) protocol.
@@ -54,26 +73,120 @@ class IrcClient extends EventEmitter {
     this._messageProcessor = new IrcMessageProcessor(this)
     this._sendTimer = null
     this._floodPreventer = null
+    this._transport = null
+    this._transportListeners = null
+    this._reconnectPolicy = null
+    this._reconnectTimer = null
+    this._reconnectAttempt = 0
+    this._sessionState = null
+    this._isQuitting = false
+    this._servers = []
+    this._serverIndex = 0
+    this._serverFailures = 0
+    this._isRegistered = false
+    this._redirect = null
+    this._redirectCount = 0
+    this._keepAliveTimer = null
+    this._pingTimeoutTimer = null
+    this._pendingPings = {}
+    this._pingCount = 0
+    this._awayPollTimer = null
+    this._awayPollIndex = 0
+    this._lastDataTime = 0
+    this._lag = null
+    this._encoding = 'utf8'
+    this._fallbackEncoding = null
+    this._targetEncodings = {}
+    this._lineSplitter = new IrcLineSplitter()
+    this._lineSplitter.on('line', line => this.parseMessage(this.decodeLine(line)))
+    this._lineSplitter.on('lineTooLong', (data, length) => this.lineTooLong('in', this.decodeLine(data), length))
+    this._queryTracker = new IrcQueryTracker(this)
+    this._labeledResponseTracker = new IrcLabeledResponseTracker(this)
+    this._isConnected = false
+    this._queueDrained = null
+    this._capabilities = new IrcCapabilities()
+    this._isNegotiatingCapabilities = false
+    this._pendingCapabilityRequests = 0
+    this._monitor = new IrcMonitor(this)
   }
 
   /**
    * Connects to the specified server.
    *
+   * The connection is secured with implicit TLS unless another {@link IrcConnectionSecurity} is
+   * given in the options. The `tls` options are passed on to `tls.connect`, and may contain
+   * e.g. `servername`, `ca`, `rejectUnauthorized` and `minVersion`.
+   *
+   * The connection is made over a {@link IrcSocketTransport} unless another {@link IrcTransport} is
+   * given in the options, in which case the port may be null, and the transport itself decides whether
+   * it is secured; only {@link IrcConnectionSecurity.startTls} and {@link IrcConnectionSecurity.startTlsRequired}
+   * are then applied by the client.
+   *
+   * An ordered list of the servers of a network may be given instead of a single host name. If a connection
+   * fails before the client is registered, the client moves on to the next server in the list, and once
+   * every server has failed, the reconnect policy (if any) decides whether to start over from the first server.
+   * If `followRedirects` is set, the client also moves on to the server given by a RPL_BOUNCE or RPL_REDIR reply.
+   *
    * @public
    * @fires IrcClient#connecting
+   * @fires IrcClient#serverChanged
    * @throws {ArgumentNullError} if a parameter is null.
-   * @param {string} hostName The name of the remote host.
+   * @param {string|Object[]} hostName The name of the remote host, or a list of servers given as
+   * <code>{ hostName, port }</code>, where port defaults to the port parameter.
    * @param {number} port The port number of the remote host.
    * @param {Object} registrationInfo The information used for registering the client.
+   * @param {string[]} [registrationInfo.capabilities] The IRCv3 capabilities to enable if the server offers them,
+   * e.g. 'away-notify'. They are negotiated before registering. Apart from 'cap-notify', and 'sasl' when SASL
+   * settings are given, no capability is requested unless listed here; listing chathistory requests batch and
+   * server-time as well.
+   * @param {Object} [registrationInfo.sasl] The SASL settings used for logging in to an account while registering.
+   * @param {string} [registrationInfo.sasl.mechanism] The SASL mechanism; one of 'PLAIN', 'EXTERNAL' (which uses the
+   * TLS client certificate given in the `tls` options) or 'SCRAM-SHA-256'. Defaults to 'PLAIN' if a password is
+   * given, and otherwise 'EXTERNAL'.
+   * @param {string} [registrationInfo.sasl.accountName] The name of the account.
+   * @param {string} [registrationInfo.sasl.password] The password of the account.
+   * @param {boolean} [registrationInfo.sasl.isRequired=false] True to quit rather than register without
+   * logging in, if SASL authentication fails; otherwise false.
+   * @param {Object} [options] The connection options.
+   * @param {IrcConnectionSecurity} [options.security=IrcConnectionSecurity.tls] How to secure the connection.
+   * @param {Object} [options.tls] The TLS settings used when the connection is secured.
+   * @param {Object} [options.proxy] The proxy server through which to tunnel the connection,
+   * given as <code>{ type, hostName, port, userName, password, timeout }</code> with type being a
+   * {@link IrcProxyType}, and timeout the time allowed for the handshake in milliseconds (30000 by default).
+   * @param {IrcTransport} [options.transport] The transport over which to connect.
+   * @param {number} [options.pingInterval=60000] The interval at which to ping the server once registered,
+   * in milliseconds, or 0 to never ping the server.
+   * @param {number} [options.pingTimeout=120000] The time after which the connection is closed
+   * if nothing has been received from the server, in milliseconds, or 0 to never time out.
+   * @param {boolean} [options.followRedirects=false] True to move on to the server given by a RPL_BOUNCE or
+   * RPL_REDIR reply; otherwise false. Redirects are not followed when a transport is given.
+   * @param {number} [options.awayPollInterval=0] The interval at which to poll the away status of the users
+   * of a joined channel with WHO, when the server does not support away-notify, in milliseconds, or 0 to never
+   * poll. The joined channels are polled in turn, one per interval.
+   * @param {number} [options.monitorPollInterval=60000] The interval at which to poll the online status of the
+   * monitored users with ISON, when the server supports neither MONITOR nor WATCH, in milliseconds, or 0 to never
+   * poll.
    */
-  connect (hostName, port, registrationInfo) {
-    if (!hostName) {
+  connect (hostName, port, registrationInfo, options = {}) {
+    if (!hostName || (Array.isArray(hostName) && hostName.length === 0)) {
       throw new ArgumentNullError('hostName')
     }
 
-    if (!port) {
-      throw new ArgumentNullError('port')
-    }
+    let servers = (Array.isArray(hostName) ? hostName : [hostName]).map(server => {
+      return typeof server === 'string'
+        ? { 'hostName': server, 'port': port }
+        : { 'hostName': server.hostName, 'port': server.port || port }
+    })
+
+    servers.forEach(server => {
+      if (!server.hostName) {
+        throw new ArgumentNullError('hostName')
+      }
+
+      if (!server.port && !options.transport) {
+        throw new ArgumentNullError('port')
+      }
+    })
 
     if (!registrationInfo) {
       throw new ArgumentNullError('registrationInfo')
@@ -96,22 +209,68 @@ class IrcClient extends EventEmitter {
       registrationInfo.userModes = []
     }
 
-    let isReconnecting = this.hostName == hostName && this.port == port
+    let isReconnecting = this.hostName == servers[0].hostName && this.port == servers[0].port
+
+    if (this._reconnectTimer != null) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+    this._isQuitting = false
 
-    this.hostName = hostName
-    this.port = port
+    this._servers = servers
+    this._serverIndex = 0
+    this._serverFailures = 0
+    this._redirectCount = 0
     this.registrationInfo = registrationInfo
+    this.connectionOptions = Object.assign({
+      'security': IrcConnectionSecurity.tls,
+      'tls': {},
+      'pingInterval': 60000,
+      'pingTimeout': 120000,
+      'followRedirects': false,
+      'awayPollInterval': 0,
+      'monitorPollInterval': 60000
+    }, options)
+
+    this.connectToServer(servers[0], isReconnecting)
+  }
+
+  /** @private */
+  connectToServer (server, isReconnecting, reason = null) {
+    this.hostName = server.hostName
+    this.port = server.port
+    this._isRegistered = false
+    this._redirect = null
 
     this.resetState(isReconnecting)
 
+    if (reason) {
+      /**
+       * @event IrcClient#serverChanged
+       * @param {string} hostName The name of the server the client is moving on to.
+       * @param {number} port The port number of the server the client is moving on to.
+       * @param {string} reason Why the client moved on; one of 'connectionFailed', 'connectionLost',
+       * 'bounce' (RPL_BOUNCE) or 'redirect' (RPL_REDIR).
+       */
+      this.emit('serverChanged', this.hostName, this.port, reason)
+    }
+
     /**
      * @event IrcClient#connecting
      * @property {string} hostName
      * @property {number} port
      */
-    this.emit('connecting', hostName, port)
+    this.emit('connecting', this.hostName, this.port)
+
+    this.attachTransport(this.connectionOptions.transport || new IrcSocketTransport({
+      'hostName': this.hostName,
+      'port': this.port,
+      'secure': this.connectionOptions.security === IrcConnectionSecurity.tls,
+      'tls': this.getTlsOptions(),
+      'proxy': this.connectionOptions.proxy
+    }))
 
-    this._socket.connect(port, hostName)
+    this._transport.connect()
   }
 
   /**
@@ -119,7 +278,90 @@ class IrcClient extends EventEmitter {
    * It is possible the server will still send some data
    */
   disconnect () {
-    this._socket.end()
+    this.cancelReconnect()
+    this._transport.end()
+  }
+
+  /**
+   * Gets the IRCv3 capabilities offered by the server, and those that are enabled.
+   *
+   * @public
+   * @return {IrcCapabilities} The capabilities.
+   */
+  get capabilities () {
+    return this._capabilities
+  }
+
+  /**
+   * Gets the monitor that tracks whether users are online.
+   *
+   * @public
+   * @return {IrcMonitor} The monitor.
+   */
+  get monitor () {
+    return this._monitor
+  }
+
+  /**
+   * Gets whether chat history may be requested, which requires the server to support chathistory, as well as
+   * batch; without batches, the history could not be told from live messages.
+   *
+   * @public
+   * @return {boolean} True if chathistory is supported; otherwise false.
+   */
+  get isChatHistorySupported () {
+    return (this._capabilities.isEnabled('draft/chathistory') || this._capabilities.isEnabled('chathistory')) &&
+      this._capabilities.isEnabled('batch')
+  }
+
+  /**
+   * Gets whether the client is connected to the server.
+   *
+   * @public
+   * @return {boolean} True if the client is connected; otherwise false.
+   */
+  get isConnected () {
+    return this._isConnected
+  }
+
+  /**
+   * Gets the transport over which the client is connected to the server.
+   *
+   * @public
+   * @return {IrcTransport} The transport, or null if the client has never connected.
+   */
+  get transport () {
+    return this._transport
+  }
+
+  /**
+   * Gets the servers the client connects to, in the order they are tried.
+   *
+   * @public
+   * @return {Object[]} The servers, given as <code>{ hostName, port }</code>.
+   */
+  get serverList () {
+    return this._servers.slice()
+  }
+
+  /**
+   * Gets whether the connection to the server is currently secured with TLS.
+   *
+   * @public
+   * @return {boolean} True if the connection is secured; otherwise false.
+   */
+  get isSecure () {
+    return this._transport != null && this._transport.isSecure
+  }
+
+  /**
+   * Gets the round-trip time of the most recent keepalive ping to the server.
+   *
+   * @public
+   * @return {number} The lag in milliseconds, or null if it has not been measured yet.
+   */
+  get lag () {
+    return this._lag
   }
 
   /**
@@ -153,6 +395,135 @@ class IrcClient extends EventEmitter {
     this._floodPreventer = value
   }
 
+  /**
+   * Gets an object that decides whether and when the client reconnects after the connection is lost.
+   *
+   * The value is null by default, which indicates that the client should not reconnect.
+   *
+   * @public
+   * @return {IrcReconnectPolicy} A reconnect policy object.
+   */
+  get reconnectPolicy () {
+    return this._reconnectPolicy
+  }
+
+  /**
+   * Sets an object that decides whether and when the client reconnects after the connection is lost.
+   *
+   * On reconnecting, the client restores its nick name, user modes and away state,
+   * and rejoins the channels it was in.
+   *
+   * @public
+   * @param {IrcReconnectPolicy} value A reconnect policy object.
+   */
+  set reconnectPolicy (value) {
+    this._reconnectPolicy = value
+  }
+
+  /**
+   * Gets the character encoding used for text sent to and received from the server.
+   *
+   * The default value is 'utf8'.
+   *
+   * @public
+   * @return {string} The name of the encoding.
+   */
+  get encoding () {
+    return this._encoding
+  }
+
+  /**
+   * Sets the character encoding used for text sent to and received from the server.
+   *
+   * Any encoding supported by iconv-lite may be used, e.g. 'utf8', 'latin1', 'windows-1252' or 'koi8-r'.
+   *
+   * @public
+   * @throws {ArgumentError} if the encoding is not supported.
+   * @param {string} value The name of the encoding.
+   */
+  set encoding (value) {
+    this._encoding = getSupportedEncoding(value)
+  }
+
+  /**
+   * Gets the character encoding used for received text that is not valid UTF-8.
+   *
+   * The value is null by default, which indicates that invalid UTF-8 is decoded with replacement characters.
+   *
+   * @public
+   * @return {string} The name of the encoding.
+   */
+  get fallbackEncoding () {
+    return this._fallbackEncoding
+  }
+
+  /**
+   * Sets the character encoding used for received text that is not valid UTF-8.
+   *
+   * The fallback applies wherever UTF-8 is the encoding, e.g. 'windows-1252' for networks
+   * where some users still use a legacy charset.
+   *
+   * @public
+   * @throws {ArgumentError} if the encoding is not supported.
+   * @param {string} value The name of the encoding, or null to not fall back.
+   */
+  set fallbackEncoding (value) {
+    this._fallbackEncoding = value == null ? null : getSupportedEncoding(value)
+  }
+
+  /**
+   * Gets whether only UTF-8 text is allowed, as announced by the UTF8ONLY parameter of RPL_ISUPPORT,
+   * or required by the transport, e.g. a WebSocket in text mode.
+   *
+   * If so, text is always sent as UTF-8, regardless of the encoding settings.
+   *
+   * @public
+   * @return {boolean} True if only UTF-8 is allowed; otherwise false.
+   */
+  get isUtf8Only () {
+    return (this._transport != null && this._transport.isUtf8Only) ||
+      (this.serverSupportedFeatures != null && 'UTF8ONLY' in this.serverSupportedFeatures)
+  }
+
+  /**
+   * Gets the character encoding used for text sent to or received from the specified channel or user.
+   *
+   * @public
+   * @throws {ArgumentNullError} if the target is null.
+   * @param {string} target The name of the channel, or the nick name of the user.
+   * @return {string} The name of the encoding; the encoding of the client unless another was set for the target.
+   */
+  getTargetEncoding (target) {
+    if (!target) {
+      throw new ArgumentNullError('target')
+    }
+
+    return this._targetEncodings[target.toLowerCase()] || this._encoding
+  }
+
+  /**
+   * Sets the character encoding used for text sent to or received from the specified channel or user.
+   *
+   * Private messages are decoded using the encoding of the user who sent them.
+   *
+   * @public
+   * @throws {ArgumentNullError} if the target is null.
+   * @throws {ArgumentError} if the encoding is not supported.
+   * @param {string} target The name of the channel, or the nick name of the user.
+   * @param {string} encoding The name of the encoding, or null to use the encoding of the client.
+   */
+  setTargetEncoding (target, encoding) {
+    if (!target) {
+      throw new ArgumentNullError('target')
+    }
+
+    if (encoding == null) {
+      delete this._targetEncodings[target.toLowerCase()]
+    } else {
+      this._targetEncodings[target.toLowerCase()] = getSupportedEncoding(encoding)
+    }
+  }
+
   /**
    * Requests a list of information about the specified (or all) channels on the network.
    *
@@ -163,6 +534,23 @@ class IrcClient extends EventEmitter {
     this.sendMessageList(channelNames)
   }
 
+  /**
+   * Requests a list of information about the specified (or all) channels on the network,
+   * and waits for the reply.
+   *
+   * @public
+   * @param {string[]} [channelNames=null] The names of the channels to list, or null to list all channels
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the listed channels, given as
+   * <code>{ channelName, visibleUsersCount, topic }</code>, or rejects with a {@link QueryError}
+   * or {@link QueryTimeoutError}.
+   */
+  listChannelsAsync (channelNames = null, timeout = defaultQueryTimeout) {
+    let reply = this._queryTracker.add('channelList', null, { '402': false, '416': false }, timeout)
+    this.listChannels(channelNames)
+    return reply
+  }
+
   /**
    * Requests the Message of the Day (MOTD) from the specified server.
    *
@@ -202,6 +590,23 @@ class IrcClient extends EventEmitter {
     this.sendMessageVersion(targetServer)
   }
 
+  /**
+   * Requests the version of the specified server, and waits for the reply.
+   *
+   * @public
+   * @param {string} [targetServer=null] The name of the server whose version to request,
+   * or null for the current server.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object>} A promise that resolves with the version, given as
+   * <code>{ version, debugLevel, server, comments }</code>, or rejects with a {@link QueryError}
+   * or {@link QueryTimeoutError}.
+   */
+  getServerVersionAsync (targetServer = null, timeout = defaultQueryTimeout) {
+    let reply = this._queryTracker.add('serverVersion', null, { '402': false }, timeout)
+    this.getServerVersion(targetServer)
+    return reply
+  }
+
   /**
    * Requests statistics about the specified server.
    *
@@ -230,6 +635,25 @@ class IrcClient extends EventEmitter {
     this.sendMessageLinks(serverMask, targetServer)
   }
 
+  /**
+   * Requests a list of all servers known by the target server, and waits for the reply.
+   *
+   * @public
+   * @param {string} [serverMask=null] A wildcard expression for matching against server names,
+   * or null to match the entire network.
+   * @param {string} [targetServer=null] The name of the server to which to forward the request,
+   * or null for the current server.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the server links, given as
+   * <code>{ hostName, hopCount, info }</code>, or rejects with a {@link QueryError}
+   * or {@link QueryTimeoutError}.
+   */
+  getServerLinksAsync (serverMask = null, targetServer = null, timeout = defaultQueryTimeout) {
+    let reply = this._queryTracker.add('serverLinks', null, { '402': false }, timeout)
+    this.getServerLinks(serverMask, targetServer)
+    return reply
+  }
+
   /**
    * Requests the local time on the specified server.
    *
@@ -241,6 +665,22 @@ class IrcClient extends EventEmitter {
     this.sendMessageTime(targetServer)
   }
 
+  /**
+   * Requests the local time on the specified server, and waits for the reply.
+   *
+   * @public
+   * @param {string} [targetServer=null] The name of the server whose local time to request,
+   * or null for the current server.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object>} A promise that resolves with the time, given as <code>{ server, dateTime }</code>,
+   * or rejects with a {@link QueryError} or {@link QueryTimeoutError}.
+   */
+  getServerTimeAsync (targetServer = null, timeout = defaultQueryTimeout) {
+    let reply = this._queryTracker.add('serverTime', null, { '402': false }, timeout)
+    this.getServerTime(targetServer)
+    return reply
+  }
+
   /**
    * Sends a ping to the specified server.
    *
@@ -263,6 +703,23 @@ class IrcClient extends EventEmitter {
     this.sendMessageWho(mask, onlyOperators)
   }
 
+  /**
+   * Sends a Who query to the server targeting the specified channel or user masks, and waits for the reply.
+   *
+   * @public
+   * @param {string} [mask=null] A wildcard expression for matching against channel names.
+   * If the value is null, all users are matched.
+   * @param {boolean} [onlyOperators=true] true to match only server operators, to match all users.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the matched users, given as <code>{ channel, user }</code>,
+   * or rejects with a {@link QueryError} or {@link QueryTimeoutError}.
+   */
+  queryWhoAsync (mask = null, onlyOperators = false, timeout = defaultQueryTimeout) {
+    let reply = this._queryTracker.add('who', null, { '402': false, '416': false }, timeout)
+    this.queryWho(mask, onlyOperators)
+    return reply
+  }
+
   /**
    * Sends a Who Is query to server targeting the specified nick name masks.
    *
@@ -277,6 +734,25 @@ class IrcClient extends EventEmitter {
     this.sendMessageWhoIs(nickNameMasks)
   }
 
+  /**
+   * Sends a Who Is query to server targeting the specified nick name, and waits for the reply.
+   *
+   * @public
+   * @param {string} nickName The nick name of the user to query.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<IrcUser>} A promise that resolves with the user, or rejects with a {@link QueryError}
+   * (e.g. ERR_NOSUCHNICK) or {@link QueryTimeoutError}.
+   */
+  queryWhoIsAsync (nickName, timeout = defaultQueryTimeout) {
+    if (!nickName) {
+      throw new ArgumentNullError('nickName')
+    }
+
+    let reply = this._queryTracker.add('whoIs', nickName, { '401': true, '402': false }, timeout)
+    this.queryWhoIs([nickName])
+    return reply
+  }
+
   /**
    * Sends a Who Was query to server targeting the specified nick names.
    *
@@ -294,82 +770,326 @@ class IrcClient extends EventEmitter {
   }
 
   /**
-   * Quits the server, giving the specified comment.
+   * Sends a Who Was query to server targeting the specified nick name, and waits for the reply.
    *
    * @public
-   * @param {string} [comment] The comment to send to the server.
+   * @param {string} nickName The nick name of the user to query.
+   * @param {number} [entriesCount=-1] The maximum number of entries to return from the query.
+   * A negative value specifies to return an unlimited number of entries.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<IrcUser>} A promise that resolves with the user, or rejects with a {@link QueryError}
+   * (e.g. ERR_WASNOSUCHNICK) or {@link QueryTimeoutError}.
    */
-  quit (comment = null) {
-    this.sendMessageQuit(comment)
+  queryWhoWasAsync (nickName, entriesCount = -1, timeout = defaultQueryTimeout) {
+    if (!nickName) {
+      throw new ArgumentNullError('nickName')
+    }
+
+    let reply = this._queryTracker.add('whoWas', nickName, { '406': true, '402': false }, timeout)
+    this.queryWhoWas([nickName], entriesCount)
+    return reply
   }
 
   /**
-   * Attempts to authenticate as a IRC network operator.
+   * Requests the messages sent to the specified channel or private conversation, as stored by the server,
+   * and waits for them. This requires the server to support chathistory.
+   *
+   * The messages are found relative to the given references, each being either a Date or the msgid of a message:
+   * LATEST finds the latest messages, and takes one reference (or none) which the messages must be after;
+   * BEFORE, AFTER and AROUND take one reference; BETWEEN takes two references.
    *
    * @public
-   * @param {string} userName The username.
-   * @param {string} userName The password.
+   * @example
+   *
+   * client.getChatHistoryAsync('#unseen', 'LATEST', [], 50).then(messages => {
+   *   messages.forEach(m => console.log(`[${m.time.toISOString()}] <${m.source}> ${m.text}`))
+   * })
+   *
+   * @throws {ArgumentNullError} if the target is null.
+   * @throws {ArgumentError} if the subcommand is invalid, or the wrong number of references is given.
+   * @param {string} target The name of the channel, or the nick name of the user of the private conversation.
+   * @param {string} [subcommand='LATEST'] One of 'LATEST', 'BEFORE', 'AFTER', 'AROUND' or 'BETWEEN'.
+   * @param {Array<Date|string>} [references] The times or msgids relative to which to find the messages.
+   * @param {number} [limit] The maximum number of messages to return, which is capped by the limit of the server.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the messages, each given as
+   * <code>{ command, source, target, text, msgid, tags, time }</code> in the order they were sent, or rejects
+   * with a {@link QueryError}, {@link QueryTimeoutError} or InvalidOperationError (if the server does not
+   * support chathistory, or batch).
    */
-  oper (userName, password) {
-    if (!userName) {
-      throw new ArgumentNullError('userName')
+  getChatHistoryAsync (target, subcommand = 'LATEST', references = [], limit = null, timeout = defaultQueryTimeout) {
+    if (!target) {
+      throw new ArgumentNullError('target')
     }
-    if (!password) {
-      throw new ArgumentNullError('password')
+
+    subcommand = subcommand.toUpperCase()
+    if (!chatHistorySubcommands.includes(subcommand)) {
+      throw new ArgumentError(`The chathistory subcommand '${subcommand}' is invalid.`)
     }
 
-    this.sendMessageOper(userName, password)
+    let referencesCount = subcommand === 'BETWEEN' ? 2 : 1
+    if (references.length > referencesCount || (references.length < referencesCount && subcommand !== 'LATEST')) {
+      throw new ArgumentError(`The chathistory subcommand '${subcommand}' takes ${referencesCount} reference(s).`)
+    }
+
+    if (!this.isChatHistorySupported) {
+      return Promise.reject(new InvalidOperationError('The server does not support chathistory with batch.'))
+    }
+
+    let parameters = references.length === 0 ? ['*'] : references.map(r => formatChatHistoryReference(r))
+    let reply = this._queryTracker.add('chatHistory', target, { 'FAIL CHATHISTORY': false }, timeout)
+    this.sendMessageChatHistory(subcommand, [target].concat(parameters), this.getChatHistoryLimit(limit))
+    return reply.then(messages => messages.map(m => {
+      return {
+        'command': m.command,
+        'source': m.source,
+        'target': m.parameters[0],
+        'text': m.parameters[1] === undefined ? null : m.parameters[1],
+        'msgid': m.tags.msgid || null,
+        'tags': m.tags,
+        'time': m.time
+      }
+    }))
   }
 
   /**
-   * Sends the specified raw message to the server.
+   * Requests the channels and private conversations that have messages between the specified times, as stored by
+   * the server, and waits for them. This requires the server to support chathistory.
    *
    * @public
-   * @param {string} message The text (single line) of the message to send the server.
+   * @throws {ArgumentNullError} if a time is null.
+   * @param {Date} from The time from which to find the targets.
+   * @param {Date} to The time until which to find the targets.
+   * @param {number} [limit] The maximum number of targets to return, which is capped by the limit of the server.
+   * @param {number} [timeout=30000] The time to wait for the reply, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the targets, each given as <code>{ target, time }</code>
+   * where time is that of the latest message, or rejects with a {@link QueryError}, {@link QueryTimeoutError}
+   * or InvalidOperationError (if the server does not support chathistory, or batch).
    */
-  sendRawMessage (message) {
-    if (!message) {
-      throw new ArgumentNullError('message')
+  getChatHistoryTargetsAsync (from, to, limit = null, timeout = defaultQueryTimeout) {
+    if (!from) {
+      throw new ArgumentNullError('from')
+    }
+
+    if (!to) {
+      throw new ArgumentNullError('to')
+    }
+
+    if (!this.isChatHistorySupported) {
+      return Promise.reject(new InvalidOperationError('The server does not support chathistory with batch.'))
     }
 
-    this._messageSendQueue.push(message + '\r\n')
+    let reply = this._queryTracker.add('chatHistoryTargets', null, { 'FAIL CHATHISTORY': false }, timeout)
+    this.sendMessageChatHistory('TARGETS',
+      [formatChatHistoryReference(from), formatChatHistoryReference(to)], this.getChatHistoryLimit(limit))
+    return reply.then(messages => messages
+      .filter(m => m.command === 'CHATHISTORY' && m.parameters[0] === 'TARGETS')
+      .map(m => {
+        return { 'target': m.parameters[1], 'time': new Date(m.parameters[2].replace(/^timestamp=/, '')) }
+      }))
   }
 
   /**
-   * Joins the specified channels.
-   *
-   * @public
-   * @param {string} channelName The channel name to join.
-   * @param {string} [key] The channel key, or null if no key is required.
+   * Gets the number of messages to request, which is capped by the CHATHISTORY limit of the server (if any).
+   * @private
    */
-  joinChannel (channelName, key = null) {
-    this.joinChannels([channelName], key == null ? null : [key])
+  getChatHistoryLimit (limit) {
+    let maxLimit = parseInt(this.serverSupportedFeatures.CHATHISTORY) || 0
+    if (!(limit > 0)) {
+      limit = maxLimit || defaultChatHistoryLimit
+    }
+    return maxLimit > 0 ? Math.min(limit, maxLimit) : limit
   }
 
   /**
-   * Joins the specified channels.
+   * Requests the server to enable the specified IRCv3 capabilities.
+   *
+   * Capabilities are enabled or rejected as a whole; a name prefixed by '-' requests the capability be disabled.
    *
    * @public
-   * @param {string[]} channelNames A list of channel names to join.
-   * @param {string[]} [keys] A corresponding list of keys, or null if the no channels require a key.
+   * @fires IrcClient#capabilitiesEnabled
+   * @fires IrcClient#capabilitiesRejected
+   * @param {string[]} names The names of the capabilities.
    */
-  joinChannels (channelNames, keys = null) {
-    this.sendMessageJoin(channelNames, keys)
+  requestCapabilities (names) {
+    if (!names) {
+      throw new ArgumentNullError('names')
+    }
+
+    let requests = []
+    names.forEach(name => {
+      let lastRequest = requests[requests.length - 1]
+      if (lastRequest && lastRequest.length + name.length < maxCapabilityRequestLength) {
+        requests[requests.length - 1] = lastRequest + ' ' + name
+      } else {
+        requests.push(name)
+      }
+    })
+
+    this._pendingCapabilityRequests += requests.length
+    requests.forEach(request => this.sendMessageCap('REQ', request))
   }
 
   /**
-   * Leaves the specified channels, giving the specified comment.
+   * Quits the server, giving the specified comment.
    *
    * @public
-   * @param {string} channelName The channel name to leave.
-   * @param {string} [comment] The comment to send the server upon leaving the channel, or null for no comment.
+   * @param {string} [comment] The comment to send to the server.
    */
-  leaveChannel (channelName, comment) {
-    this.leaveChannels([channelName], comment)
+  quit (comment = null) {
+    this.cancelReconnect()
+    this.sendMessageQuit(comment)
   }
 
   /**
-   * Leaves the specified channels, giving the specified comment.
+   * Quits the server gracefully, giving the specified comment.
+   *
+   * The messages that are still queued (e.g. delayed by the flood preventer) are sent first, unless
+   * they cannot be sent within the drain timeout, in which case they are discarded. The client then quits,
+   * and waits for the server to close the connection, closing it itself once the close timeout expires.
+   *
+   * @public
+   * @param {string} [comment] The comment to send to the server.
+   * @param {number} [drainTimeout=10000] The time to wait for the queued messages to be sent, in milliseconds.
+   * @param {number} [closeTimeout=5000] The time to wait for the server to close the connection, in milliseconds.
+   * @return {Promise<number>} A promise that resolves with the number of discarded messages,
+   * once the connection is closed and the client is idle.
+   */
+  quitAsync (comment = null, drainTimeout = 10000, closeTimeout = 5000) {
+    this.cancelReconnect()
+
+    if (!this._isConnected) {
+      this.stopSending()
+      return Promise.resolve(0)
+    }
+
+    let discardedCount = 0
+    return this.waitForDrain(drainTimeout)
+      .then(() => {
+        if (!this._isConnected) {
+          return
+        }
+
+        discardedCount = this._messageSendQueue.length
+        this._messageSendQueue = []
+        this.sendMessageQuit(comment)
+        this.writePendingMessages(true)
+
+        return this.waitForClose(closeTimeout)
+      })
+      .then(() => {
+        this.stopSending()
+        return discardedCount
+      })
+  }
+
+  /**
+   * Attempts to authenticate as a IRC network operator.
+   *
+   * @public
+   * @param {string} userName The username.
+   * @param {string} userName The password.
+   */
+  oper (userName, password) {
+    if (!userName) {
+      throw new ArgumentNullError('userName')
+    }
+    if (!password) {
+      throw new ArgumentNullError('password')
+    }
+
+    this.sendMessageOper(userName, password)
+  }
+
+  /**
+   * Sends the specified raw message to the server.
+   *
+   * @public
+   * @param {string} message The text (single line) of the message to send the server.
+   */
+  sendRawMessage (message) {
+    if (!message) {
+      throw new ArgumentNullError('message')
+    }
+
+    this.enqueueMessage(message)
+  }
+
+  /**
+   * Sends the specified command to the server with a label, and waits for the response, which the server
+   * tags with the same label. This requires the server to support labeled-response.
+   *
+   * @public
+   * @example
+   *
+   * // With echo-message, the response is the message as relayed by the server, including its msgid and time.
+   * client.sendCommandAsync('PRIVMSG', ['#unseen', 'Ook?']).then(([echo]) => console.log(echo.tags.msgid))
+   *
+   * @param {string} command The command to send, e.g. 'WHOIS'.
+   * @param {string[]} [parameters] The parameters of the command. The last parameter is sent as the trailing one.
+   * @param {number} [timeout=30000] The time to wait for the response, in milliseconds.
+   * @return {Promise<Object[]>} A promise that resolves with the messages of the response, each given as
+   * <code>{ tags, time, prefix, source, command, parameters }</code> (which is empty if the server merely
+   * acknowledged the command), or rejects with a {@link QueryError} (for an error numeric or FAIL reply),
+   * {@link QueryTimeoutError} or InvalidOperationError (if the server does not support labeled-response).
+   */
+  sendCommandAsync (command, parameters = [], timeout = defaultQueryTimeout) {
+    if (!command) {
+      throw new ArgumentNullError('command')
+    }
+
+    if (!this._capabilities.isEnabled('labeled-response')) {
+      return Promise.reject(new InvalidOperationError('The server does not support labeled-response.'))
+    }
+
+    let request = this._labeledResponseTracker.add(command, timeout)
+    this.writeMessage(null, command, parameters, { 'label': request.label })
+    return request.response
+  }
+
+  /**
+   * Joins the specified channels.
+   *
+   * @public
+   * @param {string} channelName The channel name to join.
+   * @param {string} [key] The channel key, or null if no key is required.
+   */
+  joinChannel (channelName, key = null) {
+    this.joinChannels([channelName], key == null ? null : [key])
+  }
+
+  /**
+   * Joins the specified channels.
+   *
+   * @public
+   * @param {string[]} channelNames A list of channel names to join.
+   * @param {string[]} [keys] A corresponding list of keys, or null if the no channels require a key.
+   */
+  joinChannels (channelNames, keys = null) {
+    if (keys) {
+      channelNames.forEach((channelName, i) => {
+        if (keys[i]) {
+          this._channelKeys[channelName.toLowerCase()] = keys[i]
+        }
+      })
+    }
+
+    this.sendMessageJoin(channelNames, keys)
+  }
+
+  /**
+   * Leaves the specified channels, giving the specified comment.
+   *
+   * @public
+   * @param {string} channelName The channel name to leave.
+   * @param {string} [comment] The comment to send the server upon leaving the channel, or null for no comment.
+   */
+  leaveChannel (channelName, comment) {
+    this.leaveChannels([channelName], comment)
+  }
+
+  /**
+   * Leaves the specified channels, giving the specified comment.
    *
    * @public
    * @param {string[]} channelNames A list of channel names to leave.
@@ -440,103 +1160,638 @@ class IrcClient extends EventEmitter {
 
   // - Proxy Functions
 
-  setNickName (nickName) {
-    this.sendMessageNick(nickName)
-  }
+  setNickName (nickName) {
+    this.sendMessageNick(nickName)
+  }
+
+  setRealName (realName) {
+    if (!realName) {
+      throw new ArgumentNullError('realName')
+    }
+
+    if (!this._capabilities.isEnabled('setname')) {
+      throw new InvalidOperationError('The server does not support changing the real name.')
+    }
+
+    this.sendMessageSetName(realName)
+  }
+
+  setTopic (channelName, topic) {
+    this.sendMessageTopic(channelName, topic)
+  }
+
+  kick (channel, usersNickNames, reason) {
+    this.sendMessageKick(channel.name, usersNickNames, reason)
+  }
+
+  invite (channel, nickName) {
+    this.sendMessageInvite(channel.name, nickName)
+  }
+
+  getChannelModes (channel, modes = null) {
+    this.sendMessageChannelMode(channel.name, modes)
+  }
+
+  setChannelModes (channel, modes, modeParameters) {
+    this.sendMessageChannelMode(channel.name, modes, modeParameters)
+  }
+
+  getUserModes (user) {
+    console.assert(user.isLocalUser)
+    this.sendMessageUserMode(user.nickName)
+  }
+
+  setUserModes (user, modes) {
+    console.assert(user.isLocalUser)
+    this.sendMessageUserMode(user.nickName, modes)
+  }
+
+  setAway (text) {
+    this.localUser.awayMessage = text
+    this.sendMessageAway(text)
+  }
+
+  unsetAway () {
+    this.localUser.awayMessage = null
+    this.sendMessageAway()
+  }
+
+  sendMessage (targets, messageText, tags = null) {
+    this.sendMessagePrivateMessage(targets, messageText, tags)
+  }
+
+  sendNotice (targets, noticeText, tags = null) {
+    this.sendMessageNotice(targets, noticeText, tags)
+  }
+
+  sendTagMessage (targets, tags) {
+    if (!this._capabilities.isEnabled('message-tags')) {
+      throw new InvalidOperationError('The server does not support message tags.')
+    }
+
+    this.sendMessageTagMessage(targets, tags)
+  }
+
+  // - Socket Operations
+
+  /** @private */
+  connected () {
+    if (!this.localUser) {
+      let localUser = new IrcLocalUser(this)
+      localUser.isOnline = true
+      localUser.nickName = this.registrationInfo.nickName
+      localUser.userName = this.registrationInfo.userName
+      localUser.realName = this.registrationInfo.realName
+      localUser.userModes = this.registrationInfo.userModes
+
+      this.localUser = localUser
+      this.users.push(localUser)
+    }
+
+    this._isConnected = true
+    this._sendTimer = setInterval(() => this.writePendingMessages(), 0)
+    this._lastDataTime = Date.now()
+    this.startPingTimeout()
+
+    let security = this.connectionOptions.security
+    if (security === IrcConnectionSecurity.startTls || security === IrcConnectionSecurity.startTlsRequired) {
+      this._isAwaitingStartTls = true
+      this.sendMessageStartTls()
+    } else {
+      this.register()
+    }
+
+    /**
+     * @event IrcClient#connected
+     */
+    this.emit('connected')
+  }
+
+  /** @private */
+  secureConnected (info) {
+    /**
+     * @event IrcClient#secureConnect
+     * @property {string} protocol The negotiated TLS protocol version.
+     * @property {Object} cipher The negotiated cipher suite.
+     * @property {Object} certificate The certificate of the server.
+     * @property {boolean} authorized True if the certificate was verified; otherwise false.
+     * @property {string} authorizationError The reason the certificate was not verified.
+     */
+    this.emit('secureConnect', info)
+  }
+
+  /** @private */
+  startTlsAccepted () {
+    if (!this._isAwaitingStartTls) {
+      return
+    }
+
+    this._isAwaitingStartTls = false
+
+    this._transport.once('secureConnect', () => this.register())
+    this._transport.startTls(this.getTlsOptions())
+  }
+
+  /** @private */
+  startTlsRejected () {
+    if (!this._isAwaitingStartTls) {
+      return
+    }
+
+    this._isAwaitingStartTls = false
+
+    if (this.connectionOptions.security === IrcConnectionSecurity.startTlsRequired) {
+      this.connectionError(new ProtocolViolationError('The server does not support STARTTLS, which is required.'))
+      this._transport.destroy()
+      return
+    }
+
+    console.debug('The server does not support STARTTLS, continuing without TLS.')
+    this.register()
+  }
+
+  /** @private */
+  register () {
+    this._isNegotiatingCapabilities = true
+    this.sendMessageCap('LS', '302')
+
+    if (this.registrationInfo.password != null) {
+      this.sendMessagePassword(this.registrationInfo.password)
+    }
+
+    this.sendMessageNick(this._sessionState ? this._sessionState.nickName : this.registrationInfo.nickName)
+    this.sendMessageUser(this.registrationInfo.userName,
+      this.getNumericUserMode(this.registrationInfo.userModes),
+      this.registrationInfo.realName)
+  }
+
+  /** @private */
+  registered () {
+    this._isRegistered = true
+    this._isNegotiatingCapabilities = false
+
+    if (this.registrationInfo.sasl && this._saslState === null) {
+      this.saslFailed(null, 'The server does not support capability negotiation.')
+    }
+    this._serverFailures = 0
+    this._redirectCount = 0
+    this.startKeepAlive()
+    this.startAwayPolling()
+    this.restoreSession()
+  }
+
+  /** @private */
+  getDesiredCapabilities () {
+    // Only the capabilities that do not change the behavior of the client are requested unasked.
+    let names = ['cap-notify'].concat(this.registrationInfo.capabilities || [])
+    if (this.registrationInfo.sasl) {
+      names.push('sasl')
+    }
+    // Chat history is sent in batches, and timestamped with server-time.
+    if (names.includes('draft/chathistory') || names.includes('chathistory')) {
+      names.push('batch', 'server-time')
+    }
+    return names.filter((name, i) => names.indexOf(name) === i)
+  }
+
+  /** @private */
+  capabilitiesListed (capabilities) {
+    this._capabilities.capabilitiesAvailable(capabilities)
+
+    let names = this.getDesiredCapabilities().filter(name => {
+      return name in capabilities && !this._capabilities.isEnabled(name)
+    })
+    if (names.length > 0) {
+      this.requestCapabilities(names)
+    } else {
+      this.endCapabilityNegotiation()
+    }
+  }
+
+  /** @private */
+  capabilityRequestAnswered () {
+    this._pendingCapabilityRequests = Math.max(0, this._pendingCapabilityRequests - 1)
+    if (this._pendingCapabilityRequests === 0) {
+      this.endCapabilityNegotiation()
+    }
+  }
+
+  /** @private */
+  capabilityNegotiationUnsupported () {
+    this._isNegotiatingCapabilities = false
+
+    if (this.registrationInfo.sasl && this._saslState === null) {
+      this.saslFailed(null, 'The server does not support capability negotiation.')
+    }
+  }
+
+  /** @private */
+  endCapabilityNegotiation () {
+    if (!this._isNegotiatingCapabilities) {
+      return
+    }
+
+    // SASL authentication must complete before the negotiation ends, which makes the server register the client.
+    if (this.registrationInfo.sasl && this._saslState === null) {
+      this.startSasl()
+      return
+    }
+
+    if (this._saslState === 'authenticating') {
+      return
+    }
+
+    this._isNegotiatingCapabilities = false
+    this.sendMessageCap('END')
+  }
+
+  /** @private */
+  startSasl () {
+    let sasl = this.registrationInfo.sasl
+    let mechanism = (sasl.mechanism || (sasl.password ? 'PLAIN' : 'EXTERNAL')).toUpperCase()
+
+    if (!this._capabilities.isEnabled('sasl')) {
+      this.saslFailed(null, 'The server does not support SASL.')
+      return
+    }
+
+    let mechanisms = this._capabilities.getValue('sasl')
+    if (mechanisms && !mechanisms.toUpperCase().split(',').includes(mechanism)) {
+      this.saslFailed(null, `The server does not support the SASL mechanism '${mechanism}'.`)
+      return
+    }
+
+    try {
+      this._saslAuthenticator = new IrcSaslAuthenticator(mechanism, sasl.accountName, sasl.password)
+    } catch (e) {
+      this.saslFailed(null, e.message)
+      return
+    }
+
+    this._saslState = 'authenticating'
+    this._saslChallenge = ''
+    this.sendMessageAuthenticate(mechanism)
+  }
+
+  /** @private */
+  saslChallengeReceived (chunk) {
+    if (this._saslState !== 'authenticating') {
+      return
+    }
+
+    if (chunk !== '+') {
+      this._saslChallenge += chunk
+    }
+
+    if (chunk.length === maxAuthenticateChunkLength) {
+      return
+    }
+
+    let challenge = Buffer.from(this._saslChallenge, 'base64')
+    this._saslChallenge = ''
+
+    let response = null
+    try {
+      response = this._saslAuthenticator.respond(challenge)
+    } catch (e) {
+      this.sendMessageAuthenticate('*')
+      this.saslFailed(null, e.message)
+      return
+    }
+
+    let encodedResponse = response.toString('base64')
+    for (let i = 0; i < encodedResponse.length; i += maxAuthenticateChunkLength) {
+      this.sendMessageAuthenticate(encodedResponse.substr(i, maxAuthenticateChunkLength))
+    }
+    if (encodedResponse.length % maxAuthenticateChunkLength === 0) {
+      this.sendMessageAuthenticate('+')
+    }
+  }
+
+  /** @private */
+  saslSucceeded () {
+    if (this._saslState !== 'authenticating') {
+      return
+    }
+
+    this._saslState = 'succeeded'
+
+    /**
+     * @event IrcClient#saslAuthenticated
+     * @param {string} mechanism The SASL mechanism that was used.
+     */
+    this.emit('saslAuthenticated', this._saslAuthenticator.mechanism)
+    this._saslAuthenticator = null
+
+    this.endCapabilityNegotiation()
+  }
+
+  /** @private */
+  saslFailed (errorName, errorMessage) {
+    if (this._saslState !== null && this._saslState !== 'authenticating') {
+      return
+    }
+
+    this._saslState = 'failed'
+    this._saslAuthenticator = null
+
+    /**
+     * @event IrcClient#saslFailed
+     * @param {string} errorName The name of the error reply, such as 'ERR_SASLFAIL', or null if the
+     * authentication failed on the side of the client.
+     * @param {string} errorMessage
+     */
+    this.emit('saslFailed', errorName, errorMessage)
+
+    if (this.registrationInfo.sasl.isRequired) {
+      this.quit('SASL authentication failed')
+      return
+    }
+
+    this.endCapabilityNegotiation()
+  }
+
+  /** @private */
+  connectionError (error) {
+    if (this._sendTimer != null) {
+      clearInterval(this._sendTimer)
+    }
+    this.stopKeepAlive()
+    /**
+     * @event IrcClient#connectionError
+     * @param {Object} error
+     */
+    this.emit('connectionError', error)
+  }
+
+  /** @private */
+  connectionClosed (hadError) {
+    this._isConnected = false
+    this.stopSending()
+    // The typing notifications would otherwise expire, and be reported, after the connection is gone.
+    this.channels.forEach(channel => channel.clearTyping())
+    this.users.forEach(user => user.clearTyping())
+    if (this._queueDrained) {
+      this._queueDrained()
+    }
+    /**
+     * @event IrcClient#connectionClosed
+     * @param {boolean} hadError
+     */
+    this.emit('connectionClosed', hadError)
+
+    if (this._isQuitting) {
+      return
+    }
+
+    if (this._redirect) {
+      let redirect = this._redirect
+      this.connectToServer(redirect, true, redirect.reason)
+      return
+    }
+
+    if (!this._isRegistered && this._servers.length > 1) {
+      this._serverIndex = (this._serverIndex + 1) % this._servers.length
+      if (++this._serverFailures < this._servers.length) {
+        this.connectToServer(this._servers[this._serverIndex], true, 'connectionFailed')
+        return
+      }
+      this._serverFailures = 0
+    }
+
+    if (this.reconnectPolicy) {
+      this.scheduleReconnect()
+    }
+  }
+
+  /** @private */
+  redirectReceived (hostName, port, reason) {
+    if (!this.connectionOptions.followRedirects || this.connectionOptions.transport) {
+      return
+    }
+
+    if (this._redirectCount >= maxRedirects) {
+      console.debug(`Not following more than ${maxRedirects} redirects in a row.`)
+      return
+    }
+
+    this._redirectCount++
+    this._redirect = { 'hostName': hostName, 'port': port, 'reason': reason }
+    this._transport.end()
+  }
+
+  /** @private */
+  startKeepAlive () {
+    if (this._keepAliveTimer != null) {
+      clearInterval(this._keepAliveTimer)
+    }
+
+    let pingInterval = this.connectionOptions.pingInterval
+    if (pingInterval > 0) {
+      this._keepAliveTimer = setInterval(() => this.sendKeepAlivePing(), pingInterval)
+    }
+  }
+
+  /** @private */
+  startPingTimeout () {
+    if (this._pingTimeoutTimer != null) {
+      clearTimeout(this._pingTimeoutTimer)
+      this._pingTimeoutTimer = null
+    }
+
+    let pingTimeout = this.connectionOptions.pingTimeout
+    if (!(pingTimeout > 0)) {
+      return
+    }
+
+    let elapsed = Date.now() - this._lastDataTime
+    if (elapsed >= pingTimeout) {
+      this._pingTimeoutTimer = null
+      this.disconnected('pingTimeout')
+      this._transport.destroy()
+      return
+    }
 
-  setTopic (channelName, topic) {
-    this.sendMessageTopic(channelName, topic)
+    this._pingTimeoutTimer = setTimeout(() => this.startPingTimeout(), pingTimeout - elapsed)
   }
 
-  kick (channel, usersNickNames, reason) {
-    this.sendMessageKick(channel.name, usersNickNames, reason)
+  /** @private */
+  stopKeepAlive () {
+    if (this._keepAliveTimer != null) {
+      clearInterval(this._keepAliveTimer)
+      this._keepAliveTimer = null
+    }
+    if (this._pingTimeoutTimer != null) {
+      clearTimeout(this._pingTimeoutTimer)
+      this._pingTimeoutTimer = null
+    }
+    this._pendingPings = {}
   }
 
-  invite (channel, nickName) {
-    this.sendMessageInvite(channel.name, nickName)
-  }
+  /** @private */
+  startAwayPolling () {
+    this.stopAwayPolling()
 
-  getChannelModes (channel, modes = null) {
-    this.sendMessageChannelMode(channel.name, modes)
+    let awayPollInterval = this.connectionOptions.awayPollInterval
+    if (awayPollInterval > 0) {
+      this._awayPollTimer = setInterval(() => this.pollAwayStatus(), awayPollInterval)
+    }
   }
 
-  setChannelModes (channel, modes, modeParameters) {
-    this.sendMessageChannelMode(channel.name, modes, modeParameters)
+  /** @private */
+  stopAwayPolling () {
+    if (this._awayPollTimer != null) {
+      clearInterval(this._awayPollTimer)
+      this._awayPollTimer = null
+    }
   }
 
-  getUserModes (user) {
-    console.assert(user.isLocalUser)
-    this.sendMessageUserMode(user.nickName)
-  }
+  /** @private */
+  pollAwayStatus () {
+    if (this._capabilities.isEnabled('away-notify') || this.channels.length === 0) {
+      return
+    }
 
-  setUserModes (user, modes) {
-    console.assert(user.isLocalUser)
-    this.sendMessageUserMode(user.nickName, modes)
-  }
+    let channel = this.channels[this._awayPollIndex++ % this.channels.length]
 
-  sendMessage (targets, messageText) {
-    this.sendMessagePrivateMessage(targets, messageText)
+    // The poll is tracked like a query, so its reply is not mistaken for the reply to a later WHO query.
+    this._queryTracker.add('who', null, {}, defaultQueryTimeout).catch(() => {})
+    this.sendMessageWho(channel.name)
   }
 
-  sendNotice (targets, noticeText) {
-    this.sendMessagePrivateMessage(targets, noticeText)
+  /** @private */
+  sendKeepAlivePing () {
+    let now = Date.now()
+    // The count keeps the tokens of pings sent within the same millisecond apart.
+    let token = `jsirc-${now}-${++this._pingCount}`
+    this._pendingPings[token] = now
+    this.sendMessagePing(token)
   }
 
-  // - Socket Operations
-
   /** @private */
-  connected () {
-    if (this.registrationInfo.password != null) {
-      this.sendMessagePassword(this.registrationInfo.password)
+  pongReceived (token) {
+    let sendTime = this._pendingPings[token]
+    if (sendTime === undefined) {
+      return
     }
 
-    this.sendMessageNick(this.registrationInfo.nickName)
-    this.sendMessageUser(this.registrationInfo.userName,
-      this.getNumericUserMode(this.registrationInfo.userModes),
-      this.registrationInfo.realName)
+    // A pong implies every earlier ping was answered too.
+    Object.keys(this._pendingPings).forEach(t => {
+      if (this._pendingPings[t] <= sendTime) {
+        delete this._pendingPings[t]
+      }
+    })
 
-    if (!this.localUser) {
-      let localUser = new IrcLocalUser(this)
-      localUser.isOnline = true
-      localUser.nickName = this.registrationInfo.nickName
-      localUser.userName = this.registrationInfo.userName
-      localUser.realName = this.registrationInfo.realName
-      localUser.userModes = this.registrationInfo.userModes
+    this._lag = Date.now() - sendTime
 
-      this.localUser = localUser
-      this.users.push(localUser)
+    /**
+     * @event IrcClient#lag
+     * @param {number} lag The round-trip time to the server, in milliseconds.
+     */
+    this.emit('lag', this._lag)
+  }
+
+  /** @private */
+  scheduleReconnect () {
+    let attempt = ++this._reconnectAttempt
+    if (!this.reconnectPolicy.canReconnect(attempt)) {
+      this._reconnectAttempt = 0
+      this._sessionState = null
+      /**
+       * @event IrcClient#reconnectFailed
+       * @param {number} attempts The number of attempts that were made.
+       */
+      this.emit('reconnectFailed', attempt - 1)
+      return
     }
 
-    this._sendTimer = setInterval(() => this.writePendingMessages(), 0)
+    if (!this._sessionState) {
+      this._sessionState = this.getSessionState()
+    }
+
+    let delay = this.reconnectPolicy.getDelay(attempt)
 
     /**
-     * @event IrcClient#connected
+     * @event IrcClient#reconnecting
+     * @param {number} attempt The number of the attempt, starting at 1.
+     * @param {number} delay The delay before the attempt is made, in milliseconds.
      */
-    this.emit('connected')
+    this.emit('reconnecting', attempt, delay)
+
+    let server = this._servers[this._serverIndex]
+    let reason = null
+    if (server.hostName !== this.hostName || server.port !== this.port) {
+      reason = this._isRegistered ? 'connectionLost' : 'connectionFailed'
+    }
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null
+      this.connectToServer(server, true, reason)
+    }, delay)
   }
 
   /** @private */
-  connectionError (error) {
-    if (this._sendTimer != null) {
-      clearInterval(this._sendTimer)
+  cancelReconnect () {
+    this._isQuitting = true
+    this._reconnectAttempt = 0
+    this._sessionState = null
+    if (this._reconnectTimer != null) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
     }
-    /**
-     * @event IrcClient#connectionError
-     * @param {Object} error
-     */
-    this.emit('connectionError', error)
   }
 
   /** @private */
-  connectionClosed (hadError) {
-    if (this._sendTimer != null) {
-      clearInterval(this._sendTimer)
+  getSessionState () {
+    let localUser = this.localUser
+    if (!localUser) {
+      return null
+    }
+
+    let channels = this.channels.filter(c => c.getChannelUser(localUser))
+
+    return {
+      'nickName': localUser.nickName,
+      'modes': localUser.modes,
+      'isAway': localUser.isAway,
+      'awayMessage': localUser.awayMessage,
+      'channels': channels.map(c => {
+        return { 'channel': c, 'key': this._channelKeys[c.name.toLowerCase()] || null }
+      })
+    }
+  }
+
+  /** @private */
+  restoreSession () {
+    let state = this._sessionState
+    this._sessionState = null
+    this._reconnectAttempt = 0
+
+    if (!state) {
+      return
+    }
+
+    if (state.modes.length > 0) {
+      this.sendMessageUserMode(this.localUser.nickName, '+' + state.modes.join(''))
+    }
+
+    if (state.isAway) {
+      this.setAway(state.awayMessage || 'Away')
     }
+
+    if (state.channels.length > 0) {
+      // Channels with keys must come first, as keys are matched to channels by position.
+      let channels = state.channels.filter(c => c.key).concat(state.channels.filter(c => !c.key))
+      channels.forEach(c => c.channel.usersCleared())
+
+      let keys = channels.filter(c => c.key).map(c => c.key)
+      this.sendMessageJoin(channels.map(c => c.channel.name), keys.length > 0 ? keys : null)
+    }
+
     /**
-     * @event IrcClient#connectionClosed
-     * @param {boolean} hadError
+     * @event IrcClient#reconnected
      */
-    this.emit('connectionClosed', hadError)
+    this.emit('reconnected')
   }
 
   /** @private */
@@ -544,6 +1799,7 @@ class IrcClient extends EventEmitter {
     if (this._sendTimer != null) {
       clearInterval(this._sendTimer)
     }
+    this.stopKeepAlive()
     /**
      * @event IrcClient#disconnected
      * @param {string} reason
@@ -551,17 +1807,53 @@ class IrcClient extends EventEmitter {
     this.emit('disconnected', reason)
   }
 
+  /** @private */
+  attachTransport (transport) {
+    if (this._transport && this._transportListeners) {
+      Object.keys(this._transportListeners).forEach(eventName => {
+        this._transport.removeListener(eventName, this._transportListeners[eventName])
+      })
+    }
+
+    this._transport = transport
+    this._transportListeners = {
+      'connect': this.connected.bind(this),
+      'secureConnect': this.secureConnected.bind(this),
+      'data': this.dataReceived.bind(this),
+      'error': this.connectionError.bind(this),
+      'close': this.connectionClosed.bind(this)
+    }
+
+    Object.keys(this._transportListeners).forEach(eventName => {
+      this._transport.on(eventName, this._transportListeners[eventName])
+    })
+  }
+
+  /** @private */
+  getTlsOptions () {
+    let tlsOptions = Object.assign({}, this.connectionOptions.tls)
+    if (!tlsOptions.servername && !net.isIP(this.hostName)) {
+      tlsOptions.servername = this.hostName
+    }
+    return tlsOptions
+  }
+
   /** @private */
   resetState (isReconnecting = false) {
     this._messageSendQueue = []
-    this._socket = new tls.TLSSocket()
-    this._socket.setKeepAlive(true, 5000)
-    this._socket.setEncoding('utf8')
-    this._socket.on('data', this.dataReceived.bind(this))
-    this._socket.on('error', this.connectionError.bind(this))
-    this._socket.on('connect', this.connected.bind(this))
-    this._socket.on('disconnect', this.disconnected.bind(this))
-    this._socket.on('close', this.connectionClosed.bind(this))
+    this._lineSplitter.reset()
+    this._isAwaitingStartTls = false
+    this._isNegotiatingCapabilities = false
+    this._pendingCapabilityRequests = 0
+    this._capabilities.cleared()
+    this._messageProcessor.reset()
+    this._saslState = null
+    this._saslAuthenticator = null
+    this._saslChallenge = ''
+    if (this.localUser) {
+      this.localUser.accountName = null
+    }
+    this._channelKeys = isReconnecting ? this._channelKeys : {}
     this.localUser = isReconnecting ? this.localUser : null
     this.messageOfTheDay = null
     this.yourHostMessage = null
@@ -583,48 +1875,92 @@ class IrcClient extends EventEmitter {
 
   /** @private */
   dataReceived (data) {
-    let str = this.incompleteData || ""
-    str += data.toString()
+    this._lastDataTime = Date.now()
 
-    if (!str) {
-      return
-    }
+    // Lines are framed as bytes, and decoded once their target is known.
+    this._lineSplitter.push(typeof data === 'string' ? Buffer.from(data, 'utf8') : data)
+  }
+
+  /** @private */
+  lineTooLong (direction, line, length) {
+    /**
+     * @event IrcClient#lineTooLong
+     * @param {string} direction Either 'in' for a received line, which is discarded, or 'out' for a line
+     * that was to be sent, which is not sent.
+     * @param {string} line The line, or the beginning of it for a received line.
+     * @param {number} length The length of the line in bytes, without the line terminator.
+     */
+    this.emit('lineTooLong', direction, line, length)
+  }
 
-    if (this.incompleteData) {
-      this.incompleteData = null
+  /** @private */
+  decodeLine (data) {
+    // The tag section is always UTF-8, regardless of the encoding of the rest of the line.
+    if (data[0] === 0x40) {
+      let bodyStart = data.indexOf(0x20) + 1 || data.length
+      return data.slice(0, bodyStart).toString('utf8') + this.decodeLine(data.slice(bodyStart))
     }
 
-    if (str[str.length - 2] !== '\r' && str[str.length - 1] !== '\n') {
-      this.incompleteData = str
-      return
+    let encoding = this.isUtf8Only ? 'utf8' : this.getIncomingEncoding(data.toString('latin1'))
+    if (!isUtf8(encoding)) {
+      return iconv.decode(data, encoding)
     }
 
-    let lines = str.split('\r\n')
-    lines.forEach(line => {
-      if (line.length === 0) {
-        return
+    if (this._fallbackEncoding && !this.isUtf8Only) {
+      try {
+        return utf8Decoder.decode(data)
+      } catch (e) {
+        return iconv.decode(data, this._fallbackEncoding)
       }
-      this.parseMessage(line)
-    })
+    }
+
+    return data.toString('utf8')
+  }
+
+  /** @private */
+  getIncomingEncoding (line) {
+    let words = line.split(' ')
+    let prefix = words[0][0] === ':' ? words.shift().substr(1) : null
+    let command = (words.shift() || '').toUpperCase()
+
+    // The target is the channel the message concerns, or else the user who sent a private message.
+    let channelTypes = this.serverSupportedFeatures.CHANTYPES || '#&+!'
+    let target = words.slice(0, 2).find(w => w.length > 0 && channelTypes.includes(w[0]))
+    if (!target && prefix && (command === 'PRIVMSG' || command === 'NOTICE')) {
+      target = prefix.split('!')[0]
+    }
+
+    return target ? this.getTargetEncoding(target.split(',')[0]) : this._encoding
   }
 
   // - Data Parsing
 
   /** @private */
   parseMessage (line) {
+    let tags = {}
     let prefix = null
+    let lineAfterTags = line
     let lineAfterPrefix = null
 
-    if (line[0] === ':') {
-      let firstSpaceIndex = line.indexOf(' ')
-      prefix = line.substr(1, firstSpaceIndex - 1)
-      lineAfterPrefix = line.substr(firstSpaceIndex + 1)
+    if (line[0] === '@') {
+      let tagsEndIndex = line.indexOf(' ')
+      if (tagsEndIndex === -1) {
+        tagsEndIndex = line.length
+      }
+      tags = parseTags(line.substr(1, tagsEndIndex - 1))
+      lineAfterTags = line.substr(tagsEndIndex + 1).replace(/^ +/, '')
+    }
+
+    if (lineAfterTags[0] === ':') {
+      let firstSpaceIndex = lineAfterTags.indexOf(' ')
+      prefix = lineAfterTags.substr(1, firstSpaceIndex - 1)
+      lineAfterPrefix = lineAfterTags.substr(firstSpaceIndex + 1)
     } else {
-      lineAfterPrefix = line
+      lineAfterPrefix = lineAfterTags
     }
 
     let spaceIndex = lineAfterPrefix.indexOf(' ')
-    let command = lineAfterPrefix.substr(0, spaceIndex)
+    let command = spaceIndex === -1 ? lineAfterPrefix : lineAfterPrefix.substr(0, spaceIndex)
     let paramsLine = lineAfterPrefix.substr(command.length + 1)
 
     let parameters = []
@@ -658,10 +1994,13 @@ class IrcClient extends EventEmitter {
 
     let message = {
       'client': this,
+      'tags': tags,
+      'msgid': tags.msgid || null,
+      'time': this.getMessageTime(tags),
       'prefix': prefix,
       'command': command,
       'parameters': parameters,
-      'source': this.getSourceFromPrefix(prefix)
+      'source': this.getSourceFromPrefix(prefix, this._messageProcessor.isHistoryBatch(tags.batch))
     }
 
     this.emit('in', line)
@@ -669,17 +2008,33 @@ class IrcClient extends EventEmitter {
     this.readMessage(message)
   }
 
+  /**
+   * Gets the time at which the server received the message, as given by its time tag,
+   * or else the time at which the client received it.
+   * @private
+   */
+  getMessageTime (tags) {
+    if (tags.time && this._capabilities.isEnabled('server-time')) {
+      let time = new Date(tags.time)
+      if (!isNaN(time.getTime())) {
+        return time
+      }
+    }
+    return new Date()
+  }
+
   /** @private */
   readMessage (message) {
+    this._labeledResponseTracker.messageReceived(message)
     this._messageProcessor.processMessage(message)
   }
 
   /** @private */
-  writePendingMessages () {
+  writePendingMessages (ignoreFloodPreventer = false) {
     let sendDelay = 0
 
     while (this._messageSendQueue.length > 0) {
-      if (this.floodPreventer) {
+      if (this.floodPreventer && !ignoreFloodPreventer) {
         sendDelay = this.floodPreventer.getSendDelay()
         if (sendDelay > 0) {
           break
@@ -687,10 +2042,10 @@ class IrcClient extends EventEmitter {
       }
 
       let message = this._messageSendQueue.shift()
-      this.emit('out', message)
+      this.emit('out', message.text)
 
       try {
-        this._socket.write(message)
+        this._transport.write(message.data)
       } catch (e) {
         console.error(e.message)
         this.emit('error', e.message)
@@ -707,10 +2062,57 @@ class IrcClient extends EventEmitter {
     }
 
     this._sendTimer = setInterval(() => this.writePendingMessages(), Math.max(sendDelay, 50))
+
+    if (this._messageSendQueue.length === 0 && this._queueDrained) {
+      this._queueDrained()
+    }
+  }
+
+  /** @private */
+  waitForDrain (timeout) {
+    return new Promise(resolve => {
+      if (this._messageSendQueue.length === 0) {
+        resolve()
+        return
+      }
+
+      let timer = setTimeout(() => this._queueDrained(), timeout)
+      this._queueDrained = () => {
+        clearTimeout(timer)
+        this._queueDrained = null
+        resolve()
+      }
+    })
+  }
+
+  /** @private */
+  waitForClose (timeout) {
+    return new Promise(resolve => {
+      if (!this._isConnected) {
+        resolve()
+        return
+      }
+
+      let timer = setTimeout(() => this._transport.destroy(), timeout)
+      this.once('connectionClosed', () => {
+        clearTimeout(timer)
+        resolve()
+      })
+    })
+  }
+
+  /** @private */
+  stopSending () {
+    if (this._sendTimer != null) {
+      clearInterval(this._sendTimer)
+      this._sendTimer = null
+    }
+    this.stopKeepAlive()
+    this.stopAwayPolling()
   }
 
   /** @private */
-  writeMessage (prefix, command, parameters = []) {
+  writeMessage (prefix, command, parameters = [], tags = null) {
     if (!command) {
       throw new ArgumentNullError(`The message command '${command}' is invalid.`)
     }
@@ -719,6 +2121,11 @@ class IrcClient extends EventEmitter {
     }
 
     let message = ''
+    let tagsText = this.formatTags(tags)
+    if (tagsText) {
+      message += '@' + tagsText + ' '
+    }
+
     if (prefix) {
       message += ':' + prefix + ' '
     }
@@ -737,11 +2144,91 @@ class IrcClient extends EventEmitter {
       }
     }
 
-    this._messageSendQueue.push(message + '\r\n')
+    this.enqueueMessage(message)
+  }
+
+  /** @private */
+  formatTags (tags) {
+    if (!tags) {
+      return null
+    }
+
+    return Object.keys(tags)
+      .filter(name => tags[name] != null && tags[name] !== false)
+      .filter(name => this.canSendTag(name))
+      .map(name => tags[name] === true || tags[name] === ''
+        ? name
+        : name + '=' + String(tags[name]).replace(/[; \\\r\n]/g, c => tagValueEscapes[c]))
+      .join(';')
+  }
+
+  /**
+   * Gets whether the specified tag may be sent, which requires the server to have agreed to the capability that
+   * uses it, and for a client-only tag also requires the server to allow it.
+   * @package
+   */
+  canSendTag (name) {
+    if (name === 'label') {
+      return this._capabilities.isEnabled('labeled-response')
+    }
+
+    if (!this._capabilities.isEnabled('message-tags')) {
+      return false
+    }
+
+    return name[0] !== '+' || this.isClientTagAllowed(name.substr(1))
+  }
+
+  /**
+   * Gets whether the server allows the specified client-only tag to be sent, according to CLIENTTAGDENY.
+   * @private
+   */
+  isClientTagAllowed (name) {
+    let deniedTags = (this.serverSupportedFeatures.CLIENTTAGDENY || '').split(',')
+    if (deniedTags.includes('*')) {
+      return deniedTags.includes('-' + name)
+    }
+    return !deniedTags.includes(name)
+  }
+
+  /** @private */
+  enqueueMessage (message) {
+    let body = message[0] === '@' ? message.substr(message.indexOf(' ') + 1) : message
+    let encoding = 'utf8'
+    if (!this.isUtf8Only) {
+      let spaceIndex = body.indexOf(' ')
+      let target = spaceIndex === -1 ? null : body.substr(spaceIndex + 1).split(/[ ,]/)[0]
+      encoding = target && target[0] !== ':' ? this.getTargetEncoding(target) : this._encoding
+    }
+
+    // The tag section is always UTF-8, regardless of the encoding of the rest of the message.
+    let tagsText = message.substr(0, message.length - body.length)
+    let data = Buffer.concat([Buffer.from(tagsText, 'utf8'), iconv.encode(body, encoding)])
+    if (!this._lineSplitter.isWithinLimits(data, maxOutgoingTagsLength)) {
+      this.lineTooLong('out', message, data.length)
+      return
+    }
+
+    this._messageSendQueue.push({ 'text': message + '\r\n', 'data': Buffer.concat([data, crlf]) })
   }
 
   // - Message Sending
 
+  /** @private */
+  sendMessageCap (subcommand, parameter = null) {
+    this.writeMessage(null, 'CAP', parameter === null ? [subcommand] : [subcommand, parameter])
+  }
+
+  /** @private */
+  sendMessageAuthenticate (data) {
+    this.writeMessage(null, 'AUTHENTICATE', [data])
+  }
+
+  /** @private */
+  sendMessageStartTls () {
+    this.writeMessage(null, 'STARTTLS')
+  }
+
   /** @private */
   sendMessagePassword (password) {
     this.writeMessage(null, 'PASS', [password])
@@ -828,13 +2315,18 @@ class IrcClient extends EventEmitter {
   }
 
   /** @private */
-  sendMessagePrivateMessage (targets, text) {
-    this.writeMessage(null, 'PRIVMSG', [targets.join(','), text])
+  sendMessagePrivateMessage (targets, text, tags = null) {
+    this.writeMessage(null, 'PRIVMSG', [targets.join(','), text], tags)
+  }
+
+  /** @private */
+  sendMessageNotice (targets, text, tags = null) {
+    this.writeMessage(null, 'NOTICE', [targets.join(','), text], tags)
   }
 
   /** @private */
-  sendMessageNotice (targets, text) {
-    this.writeMessage(null, 'NOTICE', [targets.join(','), text])
+  sendMessageTagMessage (targets, tags) {
+    this.writeMessage(null, 'TAGMSG', [targets.join(',')], tags)
   }
 
   /** @private */
@@ -932,6 +2424,16 @@ class IrcClient extends EventEmitter {
     this.writeMessage(null, 'AWAY', [text])
   }
 
+  /** @private */
+  sendMessageChatHistory (subcommand, parameters, limit) {
+    this.writeMessage(null, 'CHATHISTORY', [subcommand].concat(parameters, [String(limit)]))
+  }
+
+  /** @private */
+  sendMessageSetName (realName) {
+    this.writeMessage(null, 'SETNAME', [realName])
+  }
+
   /** @private */
   sendMessageRehash () {
     this.writeMessage(null, 'REHASH')
@@ -967,6 +2469,16 @@ class IrcClient extends EventEmitter {
     this.writeMessage(null, 'ISON', nickNames)
   }
 
+  /** @private */
+  sendMessageMonitor (modifier, nickNames) {
+    this.writeMessage(null, 'MONITOR', [modifier, nickNames.join(',')])
+  }
+
+  /** @private */
+  sendMessageWatch (entries) {
+    this.writeMessage(null, 'WATCH', entries)
+  }
+
   // -- Utils
 
   /** @private */
@@ -984,8 +2496,12 @@ class IrcClient extends EventEmitter {
     return value
   }
 
-  /** @private */
-  getSourceFromPrefix (prefix) {
+  /**
+   * Gets the source of a message from its prefix. The users who sent messages of chat history are detached,
+   * rather than the users known to the client, as the past must not change their current state.
+   * @private
+   */
+  getSourceFromPrefix (prefix, isHistory = false) {
     if (!prefix) {
       return null
     }
@@ -993,10 +2509,11 @@ class IrcClient extends EventEmitter {
     let dotIdx = prefix.indexOf('.') + 1
     let bangIdx = prefix.indexOf('!') + 1
     let atIdx = prefix.indexOf('@', bangIdx) + 1
+    let getUser = nickName => isHistory ? this.getDetachedUser(nickName) : this.getUserFromNickName(nickName, true)
 
     if (bangIdx > 0) {
       let nickName = prefix.slice(0, bangIdx - 1)
-      let user = this.getUserFromNickName(nickName, true)
+      let user = getUser(nickName)
       if (atIdx > 0) {
         user.userName = prefix.slice(bangIdx, atIdx - 1)
         user.hostName = prefix.slice(atIdx)
@@ -1006,13 +2523,13 @@ class IrcClient extends EventEmitter {
       return user
     } else if (atIdx > 0) {
       let nickName = prefix.slice(0, atIdx - 1)
-      let user = this.getUserFromNickName(nickName, true)
+      let user = getUser(nickName)
       user.hostName = prefix.slice(atIdx)
       return user
     } else if (dotIdx > 0) {
       return this.getServerFromHostName(prefix)
     } else {
-      let user = this.getUserFromNickName(prefix, true)
+      let user = getUser(prefix)
       if (user != null) {
         return user
       }
@@ -1020,6 +2537,71 @@ class IrcClient extends EventEmitter {
 
     throw new ArgumentError('The source of the message was not recognised as either a server or user.')
   }
+
+  /**
+   * Creates a user with the specified nick name, which is not added to the users of the client.
+   * @private
+   */
+  getDetachedUser (nickName) {
+    let user = new IrcUser(this)
+    user.nickName = nickName
+    return user
+  }
+}
+
+/**
+ * Gets the specified encoding, if it is supported.
+ * @private
+ */
+function getSupportedEncoding (encoding) {
+  if (!encoding) {
+    throw new ArgumentNullError('encoding')
+  }
+
+  if (!iconv.encodingExists(encoding)) {
+    throw new ArgumentError(`The encoding '${encoding}' is not supported.`)
+  }
+
+  return encoding
+}
+
+/**
+ * Formats the specified time or msgid as a reference of the CHATHISTORY command.
+ * @private
+ */
+function formatChatHistoryReference (reference) {
+  return reference instanceof Date ? `timestamp=${reference.toISOString()}` : `msgid=${reference}`
+}
+
+/**
+ * Parses the tag section of a message, without the leading '@', into an object mapping the names of
+ * the tags to their unescaped values, or to an empty string for tags without a value.
+ * @private
+ */
+function parseTags (tagsText) {
+  let tags = {}
+  tagsText.split(';').forEach(tag => {
+    if (tag.length === 0) {
+      return
+    }
+
+    let equalsIndex = tag.indexOf('=')
+    if (equalsIndex === -1) {
+      tags[tag] = ''
+    } else {
+      tags[tag.substr(0, equalsIndex)] = tag.substr(equalsIndex + 1)
+        .replace(/\\(.?)/g, (match, c) => tagValueUnescapes[c] || c)
+    }
+  })
+  return tags
+}
+
+/**
+ * Gets whether the specified encoding is UTF-8.
+ * @private
+ */
+function isUtf8 (encoding) {
+  return encoding.toLowerCase().replace(/[^a-z0-9]/g, '') === 'utf8'
 }
 
 module.exports = IrcClient
@@ -0,0 +1,32 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+/**
+ * Defines how the connection to the server is secured.
+ *
+ * @readonly
+ * @enum {number}
+ */
+let IrcConnectionSecurity = {
+  /**
+   * The connection is plain TCP and is never upgraded.
+   */
+  none: 0,
+  /**
+   * The connection is secured with TLS before any IRC traffic is sent (implicit TLS).
+   */
+  tls: 1,
+  /**
+   * The connection starts as plain TCP and is upgraded with STARTTLS if the server supports it,
+   * otherwise registration continues over plain TCP.
+   */
+  startTls: 2,
+  /**
+   * The connection starts as plain TCP and must be upgraded with STARTTLS; if the server does not
+   * support it, the client disconnects without registering.
+   */
+  startTlsRequired: 3
+}
+
+module.exports = IrcConnectionSecurity
@@ -124,11 +124,18 @@ let IrcError = {
   '551': 'ERR_HOSTUNAVAIL',
   '552': 'ERR_USINGSLINE',
   '553': 'ERR_STATSSLINE',
+  '691': 'ERR_STARTTLS',
   '712': 'ERR_TOOMANYKNOCK',
   '713': 'ERR_CHANOPEN',
   '714': 'ERR_KNOCKONCHAN',
   '715': 'ERR_KNOCKDISABLED',
   '723': 'ERR_NOPRIVS',
+  '734': 'ERR_MONLISTFULL',
+  '902': 'ERR_NICKLOCKED',
+  '904': 'ERR_SASLFAIL',
+  '905': 'ERR_SASLTOOLONG',
+  '906': 'ERR_SASLABORTED',
+  '907': 'ERR_SASLALREADY',
   '972': 'ERR_CANNOTDOCOMMAND',
   '973': 'ERR_CANNOTCHANGEUMODE',
   '974': 'ERR_CANNOTCHANGECHANMODE',
@@ -0,0 +1,160 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const IrcError = require('./IrcError.js')
+const { InvalidOperationError, QueryError, QueryTimeoutError } = require('./Errors.js')
+
+/**
+ * Correlates the responses of the server with the labeled messages awaiting them.
+ *
+ * With labeled-response, the server tags its response to a labeled message with the same label. The response
+ * is either a single message, an ACK if there is nothing else to reply, or a 'labeled-response' batch containing
+ * every message of the response, including those of any nested batches.
+ *
+ * @class
+ * @package
+ */
+class IrcLabeledResponseTracker {
+  /**
+   * Initializes a new instance of the IrcLabeledResponseTracker class.
+   *
+   * @hideconstructor
+   * @param {IrcClient} client The IrcClient instance.
+   */
+  constructor (client) {
+    this._client = client
+    this._requests = {}
+    this._batches = {}
+    this._nextLabel = 0
+
+    client.on('connectionClosed', () => {
+      this.cancelAll(new InvalidOperationError('The connection was closed before the server replied.'))
+    })
+  }
+
+  /**
+   * Adds a labeled message, which the caller is expected to send right after with the returned label.
+   *
+   * @package
+   * @param {string} command The command of the message.
+   * @param {number} timeout The time after which the request fails, in milliseconds.
+   * @return {Object} The label, and a promise that resolves with the messages of the response,
+   * given as <code>{ label, response }</code>.
+   */
+  add (command, timeout) {
+    let label = (this._nextLabel++).toString(36)
+    let response = new Promise((resolve, reject) => {
+      let request = {
+        'resolve': resolve,
+        'reject': reject,
+        'messages': [],
+        'timer': null
+      }
+
+      request.timer = setTimeout(() => {
+        this.remove(label)
+        reject(new QueryTimeoutError(`The server did not reply to the ${command} message within ${timeout} ms.`))
+      }, timeout)
+
+      this._requests[label] = request
+    })
+
+    return { 'label': label, 'response': response }
+  }
+
+  /**
+   * Adds the specified message to the response it belongs to, if any.
+   *
+   * @package
+   * @param {Object} message The message received.
+   */
+  messageReceived (message) {
+    let label = message.tags.label
+    let batchReference = message.tags.batch
+
+    if (message.command === 'BATCH') {
+      let reference = message.parameters[0] || ''
+      if (reference[0] === '+') {
+        // A batch belongs to the response if it is labeled, or nested in a batch that belongs to it.
+        let requestLabel = label && message.parameters[1] === 'labeled-response' ? label : this._batches[batchReference]
+        if (requestLabel !== undefined && this._requests[requestLabel]) {
+          this._batches[reference.substr(1)] = requestLabel
+        }
+        return
+      } else if (reference[0] === '-') {
+        let requestLabel = this._batches[reference.substr(1)]
+        delete this._batches[reference.substr(1)]
+        if (requestLabel !== undefined && batchReference === undefined) {
+          this.responseReceived(requestLabel)
+        }
+        return
+      }
+    }
+
+    if (batchReference !== undefined && this._batches[batchReference] !== undefined) {
+      let request = this._requests[this._batches[batchReference]]
+      if (request) {
+        request.messages.push(message)
+      }
+    } else if (label !== undefined && this._requests[label]) {
+      if (message.command !== 'ACK') {
+        this._requests[label].messages.push(message)
+      }
+      this.responseReceived(label)
+    }
+  }
+
+  /** @private */
+  responseReceived (label) {
+    let request = this._requests[label]
+    if (!request) {
+      return
+    }
+
+    this.remove(label)
+
+    let error = request.messages.find(m => isErrorReply(m))
+    if (error) {
+      let errorMessage = error.parameters[error.parameters.length - 1]
+      if (error.command === 'FAIL') {
+        request.reject(new QueryError(error.parameters[1], error.command, errorMessage))
+      } else {
+        request.reject(new QueryError(IrcError[error.command], parseInt(error.command), errorMessage))
+      }
+    } else {
+      request.resolve(request.messages)
+    }
+  }
+
+  /** @private */
+  cancelAll (error) {
+    let requests = this._requests
+    this._requests = {}
+    this._batches = {}
+    Object.keys(requests).forEach(label => {
+      clearTimeout(requests[label].timer)
+      requests[label].reject(error)
+    })
+  }
+
+  /** @private */
+  remove (label) {
+    let request = this._requests[label]
+    if (request) {
+      clearTimeout(request.timer)
+      delete this._requests[label]
+    }
+  }
+}
+
+/**
+ * Gets whether the specified message is an error numeric or a FAIL standard reply.
+ * @private
+ */
+function isErrorReply (message) {
+  let numericCommand = parseInt(message.command)
+  return message.command === 'FAIL' || (numericCommand >= 400 && numericCommand <= 599)
+}
+
+module.exports = IrcLabeledResponseTracker
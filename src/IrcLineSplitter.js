@@ -0,0 +1,131 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const events = require('events')
+const { EventEmitter } = events
+
+const lineFeed = 0x0A
+const carriageReturn = 0x0D
+const space = 0x20
+const tagsIndicator = 0x40 // '@'
+
+/**
+ * Splits the data received from the server into lines.
+ *
+ * Lines are terminated by CR-LF or a bare LF, and are limited to a body of 512 bytes
+ * (including the line terminator) preceded by a tag section of 8191 bytes (including the leading '@'
+ * and the trailing space). Lines that exceed the limits are discarded, and never buffered beyond them.
+ *
+ * @class
+ * @package
+ * @extends EventEmitter
+ */
+class IrcLineSplitter extends EventEmitter {
+  /**
+   * Initializes a new instance of the IrcLineSplitter class.
+   *
+   * @hideconstructor
+   * @param {number} [maxBodyLength=512] The maximum length of the body of a line, in bytes.
+   * @param {number} [maxTagsLength=8191] The maximum length of the tag section of a line, in bytes.
+   */
+  constructor (maxBodyLength = 512, maxTagsLength = 8191) {
+    super()
+
+    this._maxBodyLength = maxBodyLength
+    this._maxTagsLength = maxTagsLength
+    this.reset()
+  }
+
+  /**
+   * Discards any incomplete line.
+   *
+   * @package
+   */
+  reset () {
+    this._buffer = Buffer.alloc(0)
+    this._discardedData = null
+    this._discardedLength = 0
+  }
+
+  /**
+   * Gets whether the specified line, without its line terminator, is within the length limits.
+   *
+   * @package
+   * @param {Buffer} line The line.
+   * @param {number} [maxTagsLength] The maximum length of the tag section, if other than the limit of the splitter.
+   * @return {boolean} True if the line is within the limits; otherwise false.
+   */
+  isWithinLimits (line, maxTagsLength = this._maxTagsLength) {
+    let bodyStart = 0
+    if (line[0] === tagsIndicator) {
+      let spaceIndex = line.indexOf(space)
+      bodyStart = spaceIndex === -1 ? line.length : spaceIndex + 1
+      if (bodyStart > maxTagsLength) {
+        return false
+      }
+    }
+
+    return line.length - bodyStart <= this._maxBodyLength - 2
+  }
+
+  /**
+   * Splits the specified data, together with any incomplete line received before it, into lines.
+   *
+   * @package
+   * @fires IrcLineSplitter#line
+   * @fires IrcLineSplitter#lineTooLong
+   * @param {Buffer} data The data received.
+   */
+  push (data) {
+    let buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, data]) : data
+    let start = 0
+    let end = buffer.indexOf(lineFeed)
+
+    while (end !== -1) {
+      let line = buffer.slice(start, end > start && buffer[end - 1] === carriageReturn ? end - 1 : end)
+      start = end + 1
+      end = buffer.indexOf(lineFeed, start)
+
+      if (this._discardedData) {
+        this.lineTooLong(this._discardedData, this._discardedLength + line.length)
+        this._discardedData = null
+        this._discardedLength = 0
+      } else if (!this.isWithinLimits(line)) {
+        this.lineTooLong(line, line.length)
+      } else if (line.length > 0) {
+        /**
+         * @event IrcLineSplitter#line
+         * @param {Buffer} line The line, without its line terminator.
+         */
+        this.emit('line', line)
+      }
+    }
+
+    let rest = buffer.slice(start)
+    let maxLength = this._maxTagsLength + this._maxBodyLength
+    if (this._discardedData) {
+      this._discardedLength += rest.length
+      this._buffer = Buffer.alloc(0)
+    } else if (rest.length > maxLength) {
+      // The line can no longer be within the limits, so stop buffering it until it ends.
+      this._discardedData = Buffer.from(rest.slice(0, maxLength))
+      this._discardedLength = rest.length
+      this._buffer = Buffer.alloc(0)
+    } else {
+      this._buffer = Buffer.from(rest)
+    }
+  }
+
+  /** @private */
+  lineTooLong (data, length) {
+    /**
+     * @event IrcLineSplitter#lineTooLong
+     * @param {Buffer} data The beginning of the line.
+     * @param {number} length The length of the line, in bytes.
+     */
+    this.emit('lineTooLong', data, length)
+  }
+}
+
+module.exports = IrcLineSplitter
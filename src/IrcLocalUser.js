@@ -60,6 +60,17 @@ class IrcLocalUser extends IrcUser {
     this.client.setNickName(nickName)
   }
 
+  /**
+   * Sets the real name of the local user to the specified text.
+   *
+   * @public
+   * @throws {InvalidOperationError} if the server does not support setname.
+   * @param {string} realName The new real name of the local user.
+   */
+  setRealName (realName) {
+    this.client.setRealName(realName)
+  }
+
   /**
    * Sets the local user as away, giving the specified message.
    *
@@ -85,9 +96,10 @@ class IrcLocalUser extends IrcUser {
    * @public
    * @param {string[]} targets A array of the names of targets to which to send the notice.
    * @param {string} text The text of the notice to send.
+   * @param {Object} [tags] The tags to send with the message, e.g. client-only tags such as '+draft/reply'.
    */
-  sendMessage (targets, text) {
-    this.client.sendMessage(targets, text)
+  sendMessage (targets, text, tags = null) {
+    this.client.sendMessage(targets, text, tags)
   }
 
   /**
@@ -96,9 +108,10 @@ class IrcLocalUser extends IrcUser {
    * @public
    * @param {string[]} targets A array of the names of targets to which to send the notice.
    * @param {string} text The text of the notice to send.
+   * @param {Object} [tags] The tags to send with the notice.
    */
-  sendNotice (targets, text) {
-    this.client.sendNotice(targets, text)
+  sendNotice (targets, text, tags = null) {
+    this.client.sendNotice(targets, text, tags)
   }
 
   /**
@@ -121,19 +134,19 @@ class IrcLocalUser extends IrcUser {
     this.client.setUserModes(this, newModes)
   }
 
-  modesChanged (newModes) {
+  modesChanged (newModes, time = new Date()) {
     this._modes = IrcUtils.updateModes(this._modes, newModes.split(''))
     /**
      * @event IrcLocalUser#modes
      */
-    this.emit('modes', newModes)
+    this.emit('modes', newModes, time)
   }
 
-  kicked (source, channel, comment) {
+  kicked (source, channel, comment, time = new Date()) {
    /**
      * @event IrcLocalUser#kicked
      */
-    this.emit('kicked', source, channel, comment) 
+    this.emit('kicked', source, channel, comment, time) 
   }
 }
 
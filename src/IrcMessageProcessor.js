@@ -18,6 +18,19 @@ const regexNickNameId = new RegExp(/([^!@]+)(?:(?:!([^!@]+))?@([^%@]+))?/)
 const regexUserNameId = new RegExp(/([^!@]+)(?:(?:%[^%@]+)?@([^%@]+?\.[^%@]*)|%([^!@]+))/)
 const regexISupportPrefix = new RegExp(/\((.*)\)(.*)/)
 
+// The messages of these batches are processed once the batch ends, rather than one at a time,
+// if at all; the messages of the chathistory batches are only passed on to the batch event.
+const deferredBatchTypes = [
+  'netsplit',
+  'netjoin',
+  'chathistory',
+  'draft/chathistory-targets',
+  'chathistory-targets'
+]
+
+// The messages of these batches tell of the past, so they must not change the current state of the client.
+const historyBatchTypes = ['chathistory']
+
 /**
  * @typedef NetworkInfo
  * @type {object}
@@ -74,6 +87,7 @@ class IrcMessageProcessor {
   */
   constructor (client) {
     this._client = client
+    this._batches = {}
     this._messageProcessors = {
       'NICK': this.processMessageNick.bind(this),
       'QUIT': this.processMessageQuit.bind(this),
@@ -85,14 +99,27 @@ class IrcMessageProcessor {
       'INVITE': this.processMessageInvite.bind(this),
       'PRIVMSG': this.processMessagePrivateMessage.bind(this),
       'NOTICE': this.processMessageNotice.bind(this),
+      'TAGMSG': this.processMessageTagMessage.bind(this),
       'PING': this.processMessagePing.bind(this),
       'PONG': this.processMessagePong.bind(this),
       'ERROR': this.processMessageError.bind(this),
+      'CAP': this.processMessageCap.bind(this),
+      'AUTHENTICATE': this.processMessageAuthenticate.bind(this),
+      'ACCOUNT': this.processMessageAccount.bind(this),
+      'AWAY': this.processMessageAway.bind(this),
+      'CHGHOST': this.processMessageChangeHost.bind(this),
+      'SETNAME': this.processMessageSetName.bind(this),
+      'ACK': this.processMessageAck.bind(this),
+      'BATCH': this.processMessageBatch.bind(this),
+      'FAIL': this.processMessageStandardReply.bind(this),
+      'WARN': this.processMessageStandardReply.bind(this),
+      'NOTE': this.processMessageStandardReply.bind(this),
       '001': this.processMessageReplyWelcome.bind(this),
       '002': this.processMessageReplyYourHost.bind(this),
       '003': this.processMessageReplyCreated.bind(this),
       '004': this.processMessageReplyMyInfo.bind(this),
       '005': this.processMessageReplyBounceOrISupport.bind(this),
+      '010': this.processMessageReplyRedirect.bind(this),
       '211': this.processMessageStatsLinkInfo.bind(this),
       '212': this.processMessageStatsCommands.bind(this),
       '213': this.processMessageStatsCLine.bind(this),
@@ -124,6 +151,7 @@ class IrcMessageProcessor {
       '317': this.processMessageReplyWhoIsIdle.bind(this),
       '318': this.processMessageReplyEndOfWhoIs.bind(this),
       '319': this.processMessageReplyWhoIsChannels.bind(this),
+      '330': this.processMessageReplyWhoIsAccount.bind(this),
       '322': this.processMessageReplyList.bind(this),
       '323': this.processMessageReplyListEnd.bind(this),
       '324': this.processMessageReplyChannelModes.bind(this),
@@ -144,7 +172,25 @@ class IrcMessageProcessor {
       '375': this.processMessageReplyMotdStart.bind(this),
       '376': this.processMessageReplyMotdEnd.bind(this),
       '391': this.processMessageReplyTime.bind(this),
-      '396': this.processMessageHostHidden.bind(this)
+      '396': this.processMessageHostHidden.bind(this),
+      '900': this.processMessageReplyLoggedIn.bind(this),
+      '901': this.processMessageReplyLoggedOut.bind(this),
+      '902': this.processMessageSaslError.bind(this),
+      '903': this.processMessageReplySaslSuccess.bind(this),
+      '904': this.processMessageSaslError.bind(this),
+      '905': this.processMessageSaslError.bind(this),
+      '906': this.processMessageSaslError.bind(this),
+      '907': this.processMessageSaslError.bind(this),
+      '908': this.processMessageReplySaslMechanisms.bind(this),
+      '600': this.processMessageReplyWatchOnline.bind(this),
+      '601': this.processMessageReplyWatchOffline.bind(this),
+      '604': this.processMessageReplyWatchOnline.bind(this),
+      '605': this.processMessageReplyWatchOffline.bind(this),
+      '730': this.processMessageReplyMonitorOnline.bind(this),
+      '731': this.processMessageReplyMonitorOffline.bind(this),
+      '734': this.processMessageNumericError.bind(this),
+      '670': this.processMessageReplyStartTls.bind(this),
+      '691': this.processMessageStartTlsError.bind(this)
     }
   }
 
@@ -160,6 +206,51 @@ class IrcMessageProcessor {
    * @param {Object} message The message object.
    */
   processMessage (message) {
+    // Deferred messages, such as those of chat history, must not change the current state of their source.
+    let batch = this._batches[message.tags.batch]
+    if (batch && message.command !== 'BATCH') {
+      batch.messages.push(message)
+      if (deferredBatchTypes.includes(batch.type)) {
+        return
+      }
+    }
+
+    // With account-tag, every message from a user tells whether the user is logged in.
+    if (message.source instanceof IrcUser && this.client.capabilities.isEnabled('account-tag')) {
+      message.source.accountName = message.tags.account || null
+    }
+
+    this.dispatchMessage(message)
+  }
+
+  /**
+   * Gets whether the specified batch holds chat history, or is nested in a batch that does.
+   *
+   * @package
+   * @param {string} reference The reference of the batch.
+   * @return {boolean} True if the batch holds chat history; otherwise false.
+   */
+  isHistoryBatch (reference) {
+    for (let batch = this._batches[reference]; batch; batch = batch.parent) {
+      if (historyBatchTypes.includes(batch.type)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * Discards the batches that have not ended, e.g. when the connection is closed.
+   *
+   * @package
+   */
+  reset () {
+    this._batches = {}
+    this.listedCapabilities = null
+  }
+
+  /** @private */
+  dispatchMessage (message) {
     let messageProcessor = this._messageProcessors[message.command]
     if (messageProcessor !== undefined) {
       messageProcessor(message)
@@ -213,7 +304,7 @@ class IrcMessageProcessor {
     console.assert(message.parameters[0] !== undefined) // Empty string is allowed.
     let comment = message.parameters[0]
 
-    sourceUser.quit(comment)
+    sourceUser.quit(comment, message.time)
 
     let idx = this.client.users.indexOf(sourceUser)
     if (idx !== -1) {
@@ -235,16 +326,32 @@ class IrcMessageProcessor {
     console.assert(message.parameters[0])
     let channelList = message.parameters[0].split(',')
 
+    this.processExtendedJoin(message)
+
     channelList.forEach(channelName => {
       let channel = this.getChannelFromName(channelName)
       if (sourceUser === this.client.localUser) {
-        this.client.localUser.joinChannel(channel)
+        this.client.localUser.joinChannel(channel, message.time)
       } else {
-        channel.userJoined(new IrcChannelUser(sourceUser))
+        channel.userJoined(new IrcChannelUser(sourceUser), message.time)
       }
     })
   }
 
+  /**
+   * Updates the source user of a JOIN message, which with extended-join also has the account name
+   * ('*' if none) and the real name of the user.
+   * @private
+   */
+  processExtendedJoin (message) {
+    if (this.client.capabilities.isEnabled('extended-join') && message.parameters[1]) {
+      message.source.accountName = message.parameters[1] === '*' ? null : message.parameters[1]
+      if (message.parameters[2] !== undefined) {
+        message.source.realName = message.parameters[2]
+      }
+    }
+  }
+
   /**
    * Process PART messages received from the server.
    * @private
@@ -264,10 +371,10 @@ class IrcMessageProcessor {
     channelList.forEach(channelName => {
       let channel = this.getChannelFromName(channelName)
       if (sourceUser === this.client.localUser) {
-        this.client.localUser.partChannel(channel)
+        this.client.localUser.partChannel(channel, message.time)
         this.client.channels.splice(this.client.channels.indexOf(channel), 1)
       } else {
-        channel.userParted(channel.getChannelUser(sourceUser), comment)
+        channel.userParted(channel.getChannelUser(sourceUser), comment, message.time)
       }
     })
   }
@@ -287,10 +394,10 @@ class IrcMessageProcessor {
       console.assert(message.parameters[1])
       let channel = this.getChannelFromName(message.parameters[0])
       let modesAndParameters = this.getModeAndParameters(message.parameters.slice(1))
-      channel.modesChanged(message.source, modesAndParameters.modes, modesAndParameters.parameters)
+      channel.modesChanged(message.source, modesAndParameters.modes, modesAndParameters.parameters, message.time)
     } else if (message.parameters[0] === this.client.localUser.nickName) {
       console.assert(message.parameters[1])
-      this.client.localUser.modesChanged(message.parameters[1])
+      this.client.localUser.modesChanged(message.parameters[1], message.time)
     } else {
       throw new ProtocolViolationError(`Cannot set user mode for '${message.parameters[0]}'`)
     }
@@ -304,7 +411,7 @@ class IrcMessageProcessor {
     console.assert(message.parameters[0])
     let channel = this.getChannelFromName(message.parameters[0])
     console.assert(message.parameters[1] !== undefined) // Empty string is allowed.
-    channel.topicChanged(message.source, message.parameters[1])
+    channel.topicChanged(message.source, message.parameters[1], message.time)
   }
 
   /**
@@ -330,11 +437,11 @@ class IrcMessageProcessor {
         let channel = channelUser.channel
         this.client.channels.splice(this.client.channels.indexOf(channel), 1)
 
-        channelUser.channel.userKicked(message.source, channelUser, comment)
-        this.client.localUser.kicked(message.source, channelUser.channel, comment)
-        this.client.localUser.partChannel(channel)
+        channelUser.channel.userKicked(message.source, channelUser, comment, message.time)
+        this.client.localUser.kicked(message.source, channelUser.channel, comment, message.time)
+        this.client.localUser.partChannel(channel, message.time)
       } else {
-        channelUser.channel.userKicked(message.source, channelUser, comment)
+        channelUser.channel.userKicked(message.source, channelUser, comment, message.time)
       }
     })
   }
@@ -364,9 +471,9 @@ class IrcMessageProcessor {
     let targets = targetNames.map(x => this.getMessageTarget(x))
     targets.forEach(t => {
       if (typeof t.messageReceived === 'function') {
-        t.messageReceived(message.source, targets, messageText)
+        t.messageReceived(message.source, targets, messageText, message.tags, message.time)
       } else {
-        this.client.localUser.messageReceived(message.source, targets, messageText)
+        this.client.localUser.messageReceived(message.source, targets, messageText, message.tags, message.time)
       }
     })
   }
@@ -386,20 +493,39 @@ class IrcMessageProcessor {
        * @event IrcClient#notice
        * @param {IrcChannel|IrcUser} source
        * @param {string[]} noticeText
+       * @param {Date} time
        */
-      this.client.emit('notice', message.source, noticeText)
+      this.client.emit('notice', message.source, noticeText, message.time)
     } else {
       let targets = targetNames.map(x => this.getMessageTarget(x))
       targets.forEach(t => {
         if (typeof t.noticeReceived === 'function') {
-          t.noticeReceived(message.source, targets, noticeText)
+          t.noticeReceived(message.source, targets, noticeText, message.tags, message.time)
         } else {
-          this.client.localUser.noticeReceived(message.source, targets, noticeText)
+          this.client.localUser.noticeReceived(message.source, targets, noticeText, message.tags, message.time)
         }
       })
     }
   }
 
+  /**
+   * Process TAGMSG messages received from the server.
+   * @private
+   */
+  processMessageTagMessage (message) {
+    console.assert(message.parameters[0])
+    let targetNames = message.parameters[0].split(',')
+
+    let targets = targetNames.map(x => this.getMessageTarget(x))
+    targets.forEach(t => {
+      if (typeof t.tagMessageReceived === 'function') {
+        t.tagMessageReceived(message.source, targets, message.tags, message.time)
+      } else {
+        this.client.localUser.tagMessageReceived(message.source, targets, message.tags, message.time)
+      }
+    })
+  }
+
   /**
    * Process PING messages received from the server.
    * @private
@@ -432,6 +558,8 @@ class IrcMessageProcessor {
      * @param {string} server
      */
     this.client.emit('pong', server)
+
+    this.client.pongReceived(message.parameters[1] || server)
   }
 
   /**
@@ -448,6 +576,96 @@ class IrcMessageProcessor {
     this.client.emit('error', errorMessage)
   }
 
+  /**
+   * Process CAP messages received from the server.
+   * @private
+   */
+  processMessageCap (message) {
+    console.assert(message.parameters[1])
+
+    let subcommand = message.parameters[1].toUpperCase()
+    let isContinued = message.parameters[2] === '*' && message.parameters[3] !== undefined
+    let capabilities = parseCapabilities(message.parameters[isContinued ? 3 : 2] || '')
+    let names = Object.keys(capabilities)
+
+    switch (subcommand) {
+      case 'LS':
+        this.listedCapabilities = Object.assign(this.listedCapabilities || {}, capabilities)
+        if (!isContinued) {
+          let listedCapabilities = this.listedCapabilities
+          this.listedCapabilities = null
+
+          this.client.capabilitiesListed(listedCapabilities)
+
+          /**
+           * @event IrcClient#capabilitiesAvailable
+           * @param {string[]} names The names of the capabilities the server offers.
+           */
+          this.client.emit('capabilitiesAvailable', Object.keys(listedCapabilities))
+        }
+        break
+      case 'ACK': {
+        let disabledNames = names.filter(name => name[0] === '-').map(name => name.substr(1))
+        let enabledNames = names.filter(name => name[0] !== '-')
+
+        this.client.capabilities.capabilitiesDisabled(disabledNames)
+        this.client.capabilities.capabilitiesEnabled(enabledNames)
+
+        if (enabledNames.length > 0) {
+          /**
+           * @event IrcClient#capabilitiesEnabled
+           * @param {string[]} names The names of the capabilities that were enabled.
+           */
+          this.client.emit('capabilitiesEnabled', enabledNames)
+        }
+        if (disabledNames.length > 0) {
+          /**
+           * @event IrcClient#capabilitiesDisabled
+           * @param {string[]} names The names of the capabilities that were disabled.
+           */
+          this.client.emit('capabilitiesDisabled', disabledNames)
+        }
+
+        this.client.capabilityRequestAnswered()
+        break
+      }
+      case 'NAK':
+        /**
+         * @event IrcClient#capabilitiesRejected
+         * @param {string[]} names The names of the capabilities the server refused to enable or disable.
+         */
+        this.client.emit('capabilitiesRejected', names)
+
+        this.client.capabilityRequestAnswered()
+        break
+      case 'NEW':
+        this.client.capabilitiesListed(capabilities)
+        this.client.emit('capabilitiesAvailable', names)
+        break
+      case 'DEL':
+        this.client.capabilities.capabilitiesUnavailable(names)
+
+        /**
+         * @event IrcClient#capabilitiesUnavailable
+         * @param {string[]} names The names of the capabilities the server no longer offers.
+         */
+        this.client.emit('capabilitiesUnavailable', names)
+        break
+      default:
+        console.debug(`Unsupported CAP subcommand '${subcommand}'`)
+    }
+  }
+
+  /**
+   * Process AUTHENTICATE messages received from the server.
+   * @private
+   */
+  processMessageAuthenticate (message) {
+    console.assert(message.parameters[0])
+
+    this.client.saslChallengeReceived(message.parameters[0])
+  }
+
   /**
    * Process RPL_WELCOME responses from the server.
    * @private
@@ -470,6 +688,8 @@ class IrcMessageProcessor {
      * @event IrcClient#registered
      */
     this.client.emit('registered')
+
+    this.client.registered()
   }
 
   /**
@@ -516,19 +736,39 @@ class IrcMessageProcessor {
     this.client.emit('clientInfo')
   }
 
+  /**
+   * Process RPL_REDIR responses from the server.
+   * @private
+   */
+  processMessageReplyRedirect (message) {
+    console.assert(message.parameters[1])
+    console.assert(message.parameters[2])
+
+    let serverAddress = message.parameters[1]
+    let serverPort = parseInt(message.parameters[2])
+
+    /**
+     * @event IrcClient#redirect
+     * @param {string} serverAddress
+     * @param {number} serverPort
+     * @param {string} text
+     */
+    this.client.emit('redirect', serverAddress, serverPort, message.parameters[3])
+    this.client.redirectReceived(serverAddress, serverPort, 'redirect')
+  }
+
   /**
    * Process RPL_BOUNCE and RPL_ISUPPORT responses from the server.
    * @private
    */
   processMessageReplyBounceOrISupport (message) {
-    console.assert(message.parameters[0] === this.client.localUser.nickName)
     console.assert(message.parameters[1])
 
-    if (message.parameters[1].startsWith('Try Server')) {
+    let bounceMatch = message.parameters[1].match(/^Try server (\S+?),? port (\d+)/i)
+    if (bounceMatch) {
       // RPL_BOUNCE
-      let textParts = message.parameters[0].split(' ', ',')
-      let serverAddress = textParts[2]
-      let serverPort = parseInt(textParts[6])
+      let serverAddress = bounceMatch[1]
+      let serverPort = parseInt(bounceMatch[2])
 
       /**
        * @event IrcClient#bounce
@@ -536,8 +776,10 @@ class IrcMessageProcessor {
        * @param {number} serverPort
        */
       this.client.emit('bounce', serverAddress, serverPort)
+      this.client.redirectReceived(serverAddress, serverPort, 'bounce')
     } else {
       // RPL_ISUPPORT
+      console.assert(message.parameters[0] === this.client.localUser.nickName)
       let newParameters = {}
       for (let i = 1; i < message.parameters.length - 1; i++) {
         if (!(message.parameters[i + 1])) {
@@ -841,8 +1083,7 @@ class IrcMessageProcessor {
     let user = this.client.getUserFromNickName(message.parameters[1])
 
     console.assert(message.parameters[2])
-    user.awayMessage = message.parameters[2]
-    user.isAway = true
+    user.awayChanged(true, message.parameters[2], message.time)
   }
 
   /**
@@ -851,13 +1092,59 @@ class IrcMessageProcessor {
    */
   processMessageReplyIsOn (message) {
     console.assert(message.parameters[0] === this.client.localUser.nickName)
-    console.assert(message.parameters[1])
 
-    let onlineUserNames = message.parameters[1].split(' ')
+    let onlineUserNames = (message.parameters[1] || '').split(' ').filter(name => name)
     onlineUserNames.forEach(name => {
       let onlineUser = this.client.getUserFromNickName(name)
       onlineUser.isOnline = true
     })
+
+    this.client.monitor.isOnReplyReceived(onlineUserNames)
+  }
+
+  /**
+   * Process RPL_LOGON and RPL_NOWON responses from the server.
+   * @private
+   */
+  processMessageReplyWatchOnline (message) {
+    console.assert(message.parameters[0] === this.client.localUser.nickName)
+    console.assert(message.parameters[1])
+
+    this.client.monitor.usersOnline([message.parameters[1]])
+  }
+
+  /**
+   * Process RPL_LOGOFF and RPL_NOWOFF responses from the server.
+   * @private
+   */
+  processMessageReplyWatchOffline (message) {
+    console.assert(message.parameters[0] === this.client.localUser.nickName)
+    console.assert(message.parameters[1])
+
+    this.client.monitor.usersOffline([message.parameters[1]])
+  }
+
+  /**
+   * Process RPL_MONONLINE responses from the server.
+   * @private
+   */
+  processMessageReplyMonitorOnline (message) {
+    console.assert(message.parameters[0] === this.client.localUser.nickName)
+    console.assert(message.parameters[1])
+
+    // Each target is given as a full host mask.
+    this.client.monitor.usersOnline(message.parameters[1].split(',').map(target => target.split('!')[0]))
+  }
+
+  /**
+   * Process RPL_MONOFFLINE responses from the server.
+   * @private
+   */
+  processMessageReplyMonitorOffline (message) {
+    console.assert(message.parameters[0] === this.client.localUser.nickName)
+    console.assert(message.parameters[1])
+
+    this.client.monitor.usersOffline(message.parameters[1].split(','))
   }
 
   /**
@@ -980,6 +1267,20 @@ class IrcMessageProcessor {
     user.idleDuration = parseInt(message.parameters[2])
   }
 
+  /**
+   * Process RPL_WHOISACCOUNT responses from the server.
+   * @private
+   */
+  processMessageReplyWhoIsAccount (message) {
+    console.assert(message.parameters[0] === this.client.localUser.nickName)
+    console.assert(message.parameters[1])
+
+    let user = this.client.getUserFromNickName(message.parameters[1])
+
+    console.assert(message.parameters[2])
+    user.accountName = message.parameters[2]
+  }
+
   /**
    * Process RPL_ENDOFWHOIS responses from the server.
    * @private
@@ -1064,7 +1365,7 @@ class IrcMessageProcessor {
     let channel = this.getChannelFromName(message.parameters[1])
     let modesAndParameters = this.getModeAndParameters(message.parameters.slice(1))
 
-    channel.modesChanged(message.source, modesAndParameters.modes, modesAndParameters.parameters)
+    channel.modesChanged(message.source, modesAndParameters.modes, modesAndParameters.parameters, message.time)
   }
 
   /**
@@ -1076,7 +1377,7 @@ class IrcMessageProcessor {
     console.assert(message.parameters[1])
 
     let channel = this.getChannelFromName(message.parameters[1])
-    channel.topicChanged(null, null)
+    channel.topicChanged(null, null, message.time)
   }
 
   /**
@@ -1090,7 +1391,7 @@ class IrcMessageProcessor {
     let channel = this.getChannelFromName(message.parameters[1])
 
     console.assert(message.parameters[2] !== undefined) // Empty string is allowed.
-    channel.topicChanged(null, message.parameters[2])
+    channel.topicChanged(null, message.parameters[2], message.time)
   }
 
   /**
@@ -1185,9 +1486,9 @@ class IrcMessageProcessor {
 
     console.assert(userModeFlags.length > 0)
     if (userModeFlags.includes('H')) {
-      user.isAway = false
+      user.awayChanged(false, null, message.time)
     } else if (userModeFlags.includes('G')) {
-      user.isAway = true
+      user.awayChanged(true, null, message.time)
     }
 
     user.IsOperator = userModeFlags.includes('*')
@@ -1258,7 +1559,18 @@ class IrcMessageProcessor {
         }
 
         let userNickNameAndMode = this.getUserModeAndIdentifier(userId)
-        let user = this.client.getUserFromNickName(userNickNameAndMode.identifier)
+
+        // With userhost-in-names, the user is given as 'nick!user@host'.
+        let [nickName, userHost] = userNickNameAndMode.identifier.split('!')
+        let user = this.client.getUserFromNickName(nickName)
+        if (userHost) {
+          let atIndex = userHost.indexOf('@')
+          user.userName = atIndex === -1 ? userHost : userHost.substr(0, atIndex)
+          if (atIndex !== -1) {
+            user.hostName = userHost.substr(atIndex + 1)
+          }
+        }
+
         channel.userNameReply(new IrcChannelUser(user, userNickNameAndMode.mode.split('')))
       })
     }
@@ -1398,6 +1710,9 @@ class IrcMessageProcessor {
      * @property {string} messageOfTheDay
      */
     this.client.emit('motd', this.client.messageOfTheDay)
+
+    // The server has told which features it supports by the end of the registration.
+    this.client.monitor.start()
   }
 
   /**
@@ -1435,6 +1750,274 @@ class IrcMessageProcessor {
     this.client.emit('hostHidden', hostName)
   }
 
+  /**
+   * Process RPL_STARTTLS responses from the server.
+   * @private
+   */
+  processMessageReplyStartTls (message) {
+    this.client.startTlsAccepted()
+  }
+
+  /**
+   * Process ERR_STARTTLS responses from the server.
+   * @private
+   */
+  processMessageStartTlsError (message) {
+    this.client.startTlsRejected()
+  }
+
+  /**
+   * Process ACCOUNT messages received from the server.
+   * @private
+   */
+  processMessageAccount (message) {
+    if (!(message.source instanceof IrcUser)) {
+      throw new ProtocolViolationError(`The message source '${message.source.name}' is not a user.`)
+    }
+
+    console.assert(message.parameters[0])
+    message.source.accountName = message.parameters[0] === '*' ? null : message.parameters[0]
+  }
+
+  /**
+   * Process AWAY messages received from the server.
+   * @private
+   */
+  processMessageAway (message) {
+    if (!(message.source instanceof IrcUser)) {
+      throw new ProtocolViolationError(`The message source '${message.source.name}' is not a user.`)
+    }
+
+    let awayMessage = message.parameters[0]
+    message.source.awayChanged(!!awayMessage, awayMessage || null, message.time)
+  }
+
+  /**
+   * Process CHGHOST messages received from the server.
+   * @private
+   */
+  processMessageChangeHost (message) {
+    if (!(message.source instanceof IrcUser)) {
+      throw new ProtocolViolationError(`The message source '${message.source.name}' is not a user.`)
+    }
+
+    console.assert(message.parameters[0])
+    console.assert(message.parameters[1])
+    message.source.hostChanged(message.parameters[0], message.parameters[1], message.time)
+  }
+
+  /**
+   * Process SETNAME messages received from the server.
+   * @private
+   */
+  processMessageSetName (message) {
+    if (!(message.source instanceof IrcUser)) {
+      throw new ProtocolViolationError(`The message source '${message.source.name}' is not a user.`)
+    }
+
+    console.assert(message.parameters[0] !== undefined) // Empty string is allowed.
+    message.source.realNameChanged(message.parameters[0], message.time)
+  }
+
+  /**
+   * Process ACK messages received from the server.
+   * @private
+   */
+  processMessageAck (message) {
+    // The server acknowledges a labeled message it has no other response to; the client correlates it by its label.
+  }
+
+  /**
+   * Process FAIL, WARN and NOTE messages received from the server.
+   * @private
+   */
+  processMessageStandardReply (message) {
+    console.assert(message.parameters[0])
+    console.assert(message.parameters[1])
+    let parameters = message.parameters
+
+    /**
+     * @event IrcClient#standardReply
+     * @param {string} type The type of the reply; one of 'FAIL', 'WARN' or 'NOTE'.
+     * @param {string} command The command the reply concerns, or '*' if none.
+     * @param {string} code The code of the reply, e.g. 'INVALID_TARGET'.
+     * @param {string[]} context The context of the reply, e.g. the invalid target.
+     * @param {string} description A human-readable description.
+     */
+    this.client.emit('standardReply', message.command, parameters[0], parameters[1],
+      parameters.slice(2, parameters.length - 1), parameters[parameters.length - 1])
+  }
+
+  /**
+   * Process BATCH messages received from the server.
+   * @private
+   */
+  processMessageBatch (message) {
+    console.assert(message.parameters[0])
+    let reference = message.parameters[0].substr(1)
+
+    if (message.parameters[0][0] === '+') {
+      console.assert(message.parameters[1])
+      this._batches[reference] = {
+        'reference': reference,
+        'type': message.parameters[1],
+        'parameters': message.parameters.slice(2),
+        'tags': message.tags,
+        'time': message.time,
+        'messages': [],
+        'batches': [],
+        'parent': this._batches[message.tags.batch] || null
+      }
+      return
+    }
+
+    let batch = this._batches[reference]
+    if (!batch) {
+      return
+    }
+
+    delete this._batches[reference]
+    if (batch.parent) {
+      batch.parent.batches.push(batch)
+    }
+
+    if (batch.type === 'netsplit') {
+      this.processNetSplit(batch)
+    } else if (batch.type === 'netjoin') {
+      this.processNetJoin(batch)
+    }
+
+    /**
+     * @event IrcClient#batch
+     * @param {string} type The type of the batch, e.g. 'netsplit'.
+     * @param {string[]} parameters The parameters of the batch.
+     * @param {Object[]} messages The messages of the batch, not including those of nested batches.
+     * @param {Object[]} batches The nested batches, given as <code>{ type, parameters, messages, batches }</code>.
+     */
+    this.client.emit('batch', batch.type, batch.parameters, batch.messages, batch.batches)
+  }
+
+  /**
+   * Process the QUIT messages of a netsplit batch, which are followed by a netsplit event for the batch as a whole.
+   * @private
+   */
+  processNetSplit (batch) {
+    let servers = batch.parameters.slice(0, 2)
+    let users = batch.messages
+      .filter(message => message.command === 'QUIT' && message.source instanceof IrcUser)
+      .map(message => message.source)
+    let splitChannels = this.client.channels.map(channel => {
+      return { 'channel': channel, 'channelUsers': channel.users.filter(cu => users.includes(cu.user)) }
+    })
+
+    // Each user still quits on its own, so listeners of the quit events are told as well.
+    batch.messages.forEach(message => this.dispatchMessage(message))
+
+    splitChannels.forEach(({ channel, channelUsers }) => {
+      if (channelUsers.length > 0) {
+        channel.usersSplit(channelUsers, servers, batch.time)
+      }
+    })
+
+    /**
+     * @event IrcClient#netsplit
+     * @param {string[]} servers The names of the two servers that split.
+     * @param {IrcUser[]} users The users who quit.
+     * @param {Date} time
+     */
+    this.client.emit('netsplit', servers, users, batch.time)
+  }
+
+  /**
+   * Process the JOIN messages of a netjoin batch, which are followed by a netjoin event for the batch as a whole.
+   * @private
+   */
+  processNetJoin (batch) {
+    let servers = batch.parameters.slice(0, 2)
+    let users = batch.messages
+      .filter(message => message.command === 'JOIN' && message.source instanceof IrcUser)
+      .map(message => message.source)
+      .filter((user, i, joinedUsers) => joinedUsers.indexOf(user) === i)
+    let previousChannelUsers = new Map(this.client.channels.map(channel => [channel, channel.users.slice()]))
+
+    // Each user still joins on its own, as each user of a netsplit quits on its own.
+    batch.messages.forEach(message => this.dispatchMessage(message))
+
+    this.client.channels.forEach(channel => {
+      let previousUsers = previousChannelUsers.get(channel) || []
+      let channelUsers = channel.users.filter(cu => users.includes(cu.user) && !previousUsers.includes(cu))
+      if (channelUsers.length > 0) {
+        channel.usersRejoined(channelUsers, servers, batch.time)
+      }
+    })
+
+    /**
+     * @event IrcClient#netjoin
+     * @param {string[]} servers The names of the two servers that rejoined.
+     * @param {IrcUser[]} users The users who joined again.
+     * @param {Date} time
+     */
+    this.client.emit('netjoin', servers, users, batch.time)
+  }
+
+  /**
+   * Process RPL_LOGGEDIN responses from the server.
+   * @private
+   */
+  processMessageReplyLoggedIn (message) {
+    console.assert(message.parameters[2])
+
+    let accountName = message.parameters[2]
+    this.client.localUser.accountName = accountName
+
+    /**
+     * @event IrcClient#loggedIn
+     * @param {string} accountName
+     */
+    this.client.emit('loggedIn', accountName)
+  }
+
+  /**
+   * Process RPL_LOGGEDOUT responses from the server.
+   * @private
+   */
+  processMessageReplyLoggedOut (message) {
+    this.client.localUser.accountName = null
+
+    /**
+     * @event IrcClient#loggedOut
+     */
+    this.client.emit('loggedOut')
+  }
+
+  /**
+   * Process RPL_SASLSUCCESS responses from the server.
+   * @private
+   */
+  processMessageReplySaslSuccess (message) {
+    this.client.saslSucceeded()
+  }
+
+  /**
+   * Process RPL_SASLMECHS responses from the server.
+   * @private
+   */
+  processMessageReplySaslMechanisms (message) {
+    console.assert(message.parameters[1])
+
+    this.client.capabilities.capabilitiesAvailable({ 'sasl': message.parameters[1] })
+  }
+
+  /**
+   * Process ERR_NICKLOCKED, ERR_SASLFAIL, ERR_SASLTOOLONG, ERR_SASLABORTED and ERR_SASLALREADY
+   * responses from the server.
+   * @private
+   */
+  processMessageSaslError (message) {
+    let errorMessage = message.parameters[message.parameters.length - 1]
+    this.client.saslFailed(IrcError[message.command], errorMessage)
+  }
+
   /**
    * Process Numeric Errors responses from the server.
    * @private
@@ -1443,6 +2026,19 @@ class IrcMessageProcessor {
     console.assert(message.parameters[0] !== undefined) // Empty string is allowed.
     console.assert(message.parameters[1] !== undefined) // Empty string is allowed.
 
+    if (message.command === '421' && message.parameters[1] === 'STARTTLS') {
+      // Servers without STARTTLS support reply with ERR_UNKNOWNCOMMAND.
+      this.client.startTlsRejected()
+    }
+
+    if (message.command === '421' && message.parameters[1] === 'CAP') {
+      this.client.capabilityNegotiationUnsupported()
+    }
+
+    if (message.command === '422') {
+      this.client.monitor.start()
+    }
+
     let errorParameters = []
     let errorMessage = null
     for (let i = 1; i < message.parameters.length; i++) {
@@ -1561,18 +2157,23 @@ class IrcMessageProcessor {
     throw new ArgumentError(`The source '${targetName}' of the message was not recognised as either a server or user.`)
   }
 
-  /** @private */
+  /**
+   * Splits the prefixes (all of them, with multi-prefix) from the identifier of a channel user,
+   * e.g. '@+Rincewind' into the modes 'ov' and the identifier 'Rincewind'.
+   * @private
+   */
   getUserModeAndIdentifier (identifier) {
     if (!identifier) {
       throw new ArgumentNullError('identifier')
     }
 
-    let mode = identifier[0]
-    let channelUserMode = this.client.channelUserModesPrefixes[mode]
-    if (channelUserMode) {
-      return { 'mode': channelUserMode, 'identifier': identifier.substring(1) }
+    let mode = ''
+    let i = 0
+    while (i < identifier.length - 1 && this.client.channelUserModesPrefixes[identifier[i]]) {
+      mode += this.client.channelUserModesPrefixes[identifier[i]]
+      i++
     }
-    return { 'mode': '', 'identifier': identifier }
+    return { 'mode': mode, 'identifier': identifier.substring(i) }
   }
 
   /** @private */
@@ -1619,4 +2220,24 @@ class IrcMessageProcessor {
   }
 }
 
+/**
+ * Parses a list of capabilities, given as space separated names with optional values.
+ * @private
+ */
+function parseCapabilities (text) {
+  let capabilities = {}
+  text.split(' ').forEach(capability => {
+    if (capability.length === 0) {
+      return
+    }
+    let equalsIndex = capability.indexOf('=')
+    if (equalsIndex === -1) {
+      capabilities[capability] = null
+    } else {
+      capabilities[capability.substr(0, equalsIndex)] = capability.substr(equalsIndex + 1)
+    }
+  })
+  return capabilities
+}
+
 module.exports = IrcMessageProcessor
@@ -0,0 +1,279 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const events = require('events')
+const { EventEmitter } = events
+
+const { ArgumentNullError, InvalidOperationError } = require('./Errors.js')
+
+const maxNickNamesLength = 400
+const maxNickNamesCount = 14
+
+/**
+ * Tracks whether the users with the monitored nick names are online, for an {@link IrcClient}.
+ *
+ * The server notifies the client when a monitored user connects or disconnects if it supports MONITOR, or else
+ * WATCH. Otherwise the monitored nick names are polled with ISON, at the interval given by the
+ * monitorPollInterval connection option. Nick names are case-insensitive.
+ *
+ * @class
+ * @public
+ * @extends EventEmitter
+ */
+class IrcMonitor extends EventEmitter {
+  /**
+   * Constructs a new, empty IrcMonitor.
+   *
+   * @hideconstructor
+   * @param {IrcClient} client The IrcClient instance.
+   */
+  constructor (client) {
+    super()
+
+    this._client = client
+    this._nickNames = {}
+    this._onlineStatuses = {}
+    this._mode = null
+    this._pollTimer = null
+    this._pendingIsOnQueries = []
+
+    client.on('protocolError', (code, errorName, errorParameters) => {
+      if (code === 734 && errorParameters[1]) {
+        this.nickNamesRejected(errorParameters[1].split(','))
+      } else if (code === 512 && errorParameters[0]) {
+        this.nickNamesRejected([errorParameters[0]])
+      }
+    })
+    client.on('connectionClosed', () => this.stop())
+  }
+
+  /**
+   * Gets the monitored nick names.
+   *
+   * @public
+   * @return {string[]} The monitored nick names.
+   */
+  get list () {
+    return Object.keys(this._nickNames).map(key => this._nickNames[key])
+  }
+
+  /**
+   * Starts monitoring the specified nick names.
+   *
+   * @public
+   * @throws {ArgumentNullError} if nickNames is null.
+   * @throws {InvalidOperationError} if the list would exceed the number of nick names the server allows.
+   * @param {string[]} nickNames The nick names to monitor.
+   */
+  add (nickNames) {
+    if (!nickNames) {
+      throw new ArgumentNullError('nickNames')
+    }
+
+    let addedNickNames = nickNames.filter((nickName, i) => !(nickName.toLowerCase() in this._nickNames) &&
+      nickNames.findIndex(n => n.toLowerCase() === nickName.toLowerCase()) === i)
+
+    let limit = this.getLimit()
+    if (this.list.length + addedNickNames.length > limit) {
+      throw new InvalidOperationError(`The server does not allow monitoring more than ${limit} nick names.`)
+    }
+
+    addedNickNames.forEach(nickName => {
+      this._nickNames[nickName.toLowerCase()] = nickName
+    })
+    this.sendAdd(addedNickNames)
+  }
+
+  /**
+   * Stops monitoring the specified nick names.
+   *
+   * @public
+   * @throws {ArgumentNullError} if nickNames is null.
+   * @param {string[]} nickNames The nick names to stop monitoring.
+   */
+  remove (nickNames) {
+    if (!nickNames) {
+      throw new ArgumentNullError('nickNames')
+    }
+
+    let removedNickNames = []
+    nickNames.forEach(nickName => {
+      let key = nickName.toLowerCase()
+      if (key in this._nickNames) {
+        removedNickNames.push(this._nickNames[key])
+        delete this._nickNames[key]
+        delete this._onlineStatuses[key]
+      }
+    })
+    this.sendRemove(removedNickNames)
+  }
+
+  /**
+   * Gets whether the user with the specified nick name is online.
+   *
+   * @public
+   * @param {string} nickName The nick name of the user.
+   * @return {boolean} True if the user is online, false if offline, or null if the nick name is not monitored,
+   * or its status is not yet known.
+   */
+  isOnline (nickName) {
+    let isOnline = this._onlineStatuses[nickName.toLowerCase()]
+    return isOnline === undefined ? null : isOnline
+  }
+
+  /**
+   * Sends the monitored nick names to the server, once it has told which features it supports.
+   *
+   * @package
+   */
+  start () {
+    if (this._mode !== null) {
+      return
+    }
+
+    let features = this._client.serverSupportedFeatures
+    this._mode = 'MONITOR' in features ? 'MONITOR' : ('WATCH' in features ? 'WATCH' : 'ISON')
+
+    // Nick names beyond the limit of the server are left out, as the server would reject them anyway.
+    let nickNames = this.list.slice(0, this.getLimit())
+    this.sendAdd(nickNames)
+
+    let pollInterval = this._client.connectionOptions.monitorPollInterval
+    if (this._mode === 'ISON' && pollInterval > 0) {
+      this._pollTimer = setInterval(() => this.pollIsOn(this.list), pollInterval)
+    }
+  }
+
+  /**
+   * Forgets the online status of the monitored users, e.g. when the connection is closed.
+   *
+   * @package
+   */
+  stop () {
+    if (this._pollTimer != null) {
+      clearInterval(this._pollTimer)
+      this._pollTimer = null
+    }
+
+    this._mode = null
+    this._onlineStatuses = {}
+    this._pendingIsOnQueries = []
+  }
+
+  /** @package */
+  usersOnline (nickNames) {
+    nickNames.forEach(nickName => this.statusReceived(nickName, true))
+  }
+
+  /** @package */
+  usersOffline (nickNames) {
+    nickNames.forEach(nickName => this.statusReceived(nickName, false))
+  }
+
+  /** @package */
+  isOnReplyReceived (onlineNickNames) {
+    let nickNames = this._pendingIsOnQueries.shift()
+    if (!nickNames) {
+      return
+    }
+
+    let onlineKeys = onlineNickNames.map(nickName => nickName.toLowerCase())
+    this.usersOnline(onlineNickNames)
+    this.usersOffline(nickNames.filter(nickName => !onlineKeys.includes(nickName.toLowerCase())))
+  }
+
+  /** @private */
+  statusReceived (nickName, isOnline) {
+    let key = nickName.toLowerCase()
+    if (!(key in this._nickNames) || this._onlineStatuses[key] === isOnline) {
+      return
+    }
+
+    this._onlineStatuses[key] = isOnline
+    if (isOnline) {
+      /**
+       * @event IrcMonitor#online
+       * @param {string} nickName
+       */
+      this.emit('online', nickName)
+    } else {
+      /**
+       * @event IrcMonitor#offline
+       * @param {string} nickName
+       */
+      this.emit('offline', nickName)
+    }
+  }
+
+  /** @private */
+  nickNamesRejected (nickNames) {
+    nickNames.forEach(nickName => {
+      delete this._nickNames[nickName.toLowerCase()]
+      delete this._onlineStatuses[nickName.toLowerCase()]
+    })
+  }
+
+  /** @private */
+  getLimit () {
+    let features = this._client.serverSupportedFeatures || {}
+    let limit = this._mode === 'MONITOR' || this._mode === 'WATCH' ? parseInt(features[this._mode]) : NaN
+    return limit > 0 ? limit : Infinity
+  }
+
+  /** @private */
+  sendAdd (nickNames) {
+    if (this._mode === 'MONITOR') {
+      chunkNickNames(nickNames, ',').forEach(chunk => this._client.sendMessageMonitor('+', chunk))
+    } else if (this._mode === 'WATCH') {
+      chunkNickNames(nickNames, ' ').forEach(chunk => this._client.sendMessageWatch(chunk.map(n => `+${n}`)))
+    } else if (this._mode === 'ISON') {
+      this.pollIsOn(nickNames)
+    }
+  }
+
+  /** @private */
+  sendRemove (nickNames) {
+    if (this._mode === 'MONITOR') {
+      chunkNickNames(nickNames, ',').forEach(chunk => this._client.sendMessageMonitor('-', chunk))
+    } else if (this._mode === 'WATCH') {
+      chunkNickNames(nickNames, ' ').forEach(chunk => this._client.sendMessageWatch(chunk.map(n => `-${n}`)))
+    }
+  }
+
+  /** @private */
+  pollIsOn (nickNames) {
+    // The server replies to each ISON in turn, listing only the users that are online.
+    chunkNickNames(nickNames, ' ').forEach(chunk => {
+      this._pendingIsOnQueries.push(chunk)
+      this._client.sendMessageIsOn(chunk)
+    })
+  }
+}
+
+/**
+ * Splits the specified nick names into chunks that fit in a single message.
+ * @private
+ */
+function chunkNickNames (nickNames, separator) {
+  let chunks = []
+  let chunk = []
+  let chunkLength = 0
+  nickNames.forEach(nickName => {
+    let length = nickName.length + separator.length + 1
+    if (chunk.length > 0 && (chunkLength + length > maxNickNamesLength || chunk.length === maxNickNamesCount)) {
+      chunks.push(chunk)
+      chunk = []
+      chunkLength = 0
+    }
+    chunk.push(nickName)
+    chunkLength += length
+  })
+
+  if (chunk.length > 0) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+module.exports = IrcMonitor
@@ -0,0 +1,348 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const net = require('net')
+const events = require('events')
+const { EventEmitter } = events
+
+const IrcProxyType = require('./IrcProxyType.js')
+const { ArgumentNullError, ArgumentError, ProxyError } = require('./Errors.js')
+
+const defaultTimeout = 30000
+
+const socks5ReplyReasons = {
+  0x01: 'proxyGeneralFailure',
+  0x02: 'proxyConnectionNotAllowed',
+  0x03: 'proxyNetworkUnreachable',
+  0x04: 'proxyHostUnreachable',
+  0x05: 'proxyConnectionRefused',
+  0x06: 'proxyTtlExpired',
+  0x07: 'proxyCommandNotSupported',
+  0x08: 'proxyAddressTypeNotSupported'
+}
+
+const socks4ReplyReasons = {
+  0x5B: 'proxyConnectionRefused',
+  0x5C: 'proxyIdentdUnreachable',
+  0x5D: 'proxyIdentdMismatch'
+}
+
+/**
+ * Tunnels a TCP connection through a SOCKS4a, SOCKS5 or HTTP CONNECT proxy server.
+ *
+ * Handshake failures are reported as a {@link ProxyError}, whose reason is one of
+ * 'proxyConnectionFailed', 'proxyAuthenticationMethodRejected', 'proxyAuthenticationFailed',
+ * 'proxyAuthenticationRequired', 'proxyProtocolError', 'proxyTimeout' or a reason derived from the reply of the
+ * proxy, such as 'proxyHostUnreachable' or 'proxyConnectionRefused'.
+ *
+ * @class
+ * @package
+ * @extends EventEmitter
+ */
+class IrcProxyClient extends EventEmitter {
+  /**
+   * Initializes a new instance of the IrcProxyClient class.
+   *
+   * @hideconstructor
+   * @throws {ArgumentNullError} if a parameter is null.
+   * @throws {ArgumentError} if the proxy type is not supported.
+   * @param {Object} proxy The proxy settings.
+   * @param {IrcProxyType} proxy.type The type of the proxy server.
+   * @param {string} proxy.hostName The name of the proxy server.
+   * @param {number} proxy.port The port number of the proxy server.
+   * @param {string} [proxy.userName] The user name used for authenticating with the proxy server.
+   * @param {string} [proxy.password] The password used for authenticating with the proxy server.
+   * @param {number} [proxy.timeout=30000] The time after which the handshake fails if the tunnel is not
+   * established, in milliseconds.
+   */
+  constructor (proxy) {
+    super()
+
+    if (!proxy) {
+      throw new ArgumentNullError('proxy')
+    }
+
+    if (!proxy.hostName) {
+      throw new ArgumentError('proxy hostName is missing.')
+    }
+
+    if (!proxy.port) {
+      throw new ArgumentError('proxy port is missing.')
+    }
+
+    if (!Object.values(IrcProxyType).includes(proxy.type)) {
+      throw new ArgumentError(`The proxy type '${proxy.type}' is not supported.`)
+    }
+
+    this._proxy = proxy
+    this._timeout = proxy.timeout || defaultTimeout
+    this._timer = null
+    this._socket = null
+    this._buffer = Buffer.alloc(0)
+    this._onData = null
+  }
+
+  /**
+   * Connects to the proxy server and requests a tunnel to the specified host.
+   *
+   * @package
+   * @fires IrcProxyClient#connect
+   * @fires IrcProxyClient#error
+   * @param {string} hostName The name of the remote host.
+   * @param {number} port The port number of the remote host.
+   * @return {net.Socket} The socket connected to the proxy server.
+   */
+  connect (hostName, port) {
+    this._timer = setTimeout(() => {
+      this.fail('proxyTimeout', `The proxy server did not establish the tunnel within ${this._timeout} ms.`)
+    }, this._timeout)
+
+    this._socket = net.connect(this._proxy.port, this._proxy.hostName)
+    this._socket.on('data', data => this.dataReceived(data))
+    this._socket.on('error', error => {
+      this.fail('proxyConnectionFailed', `The connection to the proxy server failed: ${error.message}`)
+    })
+    this._socket.on('close', () => {
+      this.fail('proxyConnectionFailed', 'The proxy server closed the connection during the handshake.')
+    })
+    this._socket.on('connect', () => {
+      switch (this._proxy.type) {
+        case IrcProxyType.socks4a:
+          this.sendSocks4Request(hostName, port)
+          break
+        case IrcProxyType.socks5:
+          this.sendSocks5Greeting(hostName, port)
+          break
+        case IrcProxyType.http:
+          this.sendHttpConnect(hostName, port)
+          break
+      }
+    })
+    return this._socket
+  }
+
+  /** @private */
+  dataReceived (data) {
+    this._buffer = Buffer.concat([this._buffer, data])
+    if (this._onData) {
+      this._onData()
+    }
+  }
+
+  /**
+   * Waits until the specified number of bytes have been received, then consumes them.
+   * @private
+   */
+  expect (length, callback) {
+    this._onData = () => {
+      let size = typeof length === 'function' ? length(this._buffer) : length
+      if (size < 0 || this._buffer.length < size) {
+        return
+      }
+      let data = this._buffer.slice(0, size)
+      this._buffer = this._buffer.slice(size)
+      this._onData = null
+      callback(data)
+    }
+    this._onData()
+  }
+
+  /** @private */
+  sendSocks4Request (hostName, port) {
+    let userId = Buffer.from(this._proxy.userName || '')
+    let request = [Buffer.from([0x04, 0x01, port >> 8, port & 0xFF])]
+
+    if (net.isIPv4(hostName)) {
+      request.push(Buffer.from(hostName.split('.').map(n => parseInt(n))), userId, Buffer.from([0x00]))
+    } else {
+      // SOCKS4a: an address of 0.0.0.x tells the proxy to resolve the host name.
+      request.push(Buffer.from([0x00, 0x00, 0x00, 0x01]), userId, Buffer.from([0x00]))
+      request.push(Buffer.from(hostName), Buffer.from([0x00]))
+    }
+
+    this._socket.write(Buffer.concat(request))
+    this.expect(8, reply => {
+      if (reply[1] !== 0x5A) {
+        this.fail(socks4ReplyReasons[reply[1]] || 'proxyProtocolError',
+          `The proxy server rejected the request (0x${reply[1].toString(16)}).`)
+        return
+      }
+      this.tunnelEstablished()
+    })
+  }
+
+  /** @private */
+  sendSocks5Greeting (hostName, port) {
+    let hasCredentials = this._proxy.userName != null
+    let methods = hasCredentials ? [0x00, 0x02] : [0x00]
+
+    this._socket.write(Buffer.from([0x05, methods.length].concat(methods)))
+    this.expect(2, reply => {
+      if (reply[0] !== 0x05) {
+        this.fail('proxyProtocolError', 'The proxy server is not a SOCKS5 server.')
+      } else if (reply[1] === 0x00) {
+        this.sendSocks5Connect(hostName, port)
+      } else if (reply[1] === 0x02 && hasCredentials) {
+        this.sendSocks5Authentication(hostName, port)
+      } else {
+        this.fail('proxyAuthenticationMethodRejected',
+          'The proxy server does not accept any of the offered authentication methods.')
+      }
+    })
+  }
+
+  /** @private */
+  sendSocks5Authentication (hostName, port) {
+    let userName = Buffer.from(this._proxy.userName || '')
+    let password = Buffer.from(this._proxy.password || '')
+
+    this._socket.write(Buffer.concat([
+      Buffer.from([0x01, userName.length]), userName,
+      Buffer.from([password.length]), password
+    ]))
+    this.expect(2, reply => {
+      if (reply[1] !== 0x00) {
+        this.fail('proxyAuthenticationFailed', 'The proxy server rejected the user name or password.')
+        return
+      }
+      this.sendSocks5Connect(hostName, port)
+    })
+  }
+
+  /** @private */
+  sendSocks5Connect (hostName, port) {
+    let address = null
+    if (net.isIPv4(hostName)) {
+      address = Buffer.concat([Buffer.from([0x01]), Buffer.from(hostName.split('.').map(n => parseInt(n)))])
+    } else if (net.isIPv6(hostName)) {
+      address = Buffer.concat([Buffer.from([0x04]), ipv6ToBuffer(hostName)])
+    } else {
+      let name = Buffer.from(hostName)
+      address = Buffer.concat([Buffer.from([0x03, name.length]), name])
+    }
+
+    this._socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, Buffer.from([port >> 8, port & 0xFF])]))
+    this.expect(getSocks5ReplyLength, reply => {
+      if (reply[1] !== 0x00) {
+        this.fail(socks5ReplyReasons[reply[1]] || 'proxyProtocolError',
+          `The proxy server rejected the request (0x${reply[1].toString(16)}).`)
+        return
+      }
+      this.tunnelEstablished()
+    })
+  }
+
+  /** @private */
+  sendHttpConnect (hostName, port) {
+    let authority = net.isIPv6(hostName) ? `[${hostName}]:${port}` : `${hostName}:${port}`
+    let request = `CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n`
+    if (this._proxy.userName != null) {
+      let credentials = Buffer.from(`${this._proxy.userName}:${this._proxy.password || ''}`).toString('base64')
+      request += `Proxy-Authorization: Basic ${credentials}\r\n`
+    }
+    request += '\r\n'
+
+    this._socket.write(request)
+    this.expect(getHttpResponseLength, response => {
+      let statusLine = response.toString('latin1').split('\r\n')[0]
+      let statusMatch = statusLine.match(/^HTTP\/\d\.\d (\d{3})/)
+      if (!statusMatch) {
+        this.fail('proxyProtocolError', `The proxy server sent an invalid response '${statusLine}'.`)
+      } else if (statusMatch[1] === '407') {
+        this.fail(this._proxy.userName != null ? 'proxyAuthenticationFailed' : 'proxyAuthenticationRequired',
+          `The proxy server requires authentication (${statusLine}).`)
+      } else if (statusMatch[1][0] !== '2') {
+        this.fail('proxyConnectionRefused', `The proxy server refused the connection (${statusLine}).`)
+      } else {
+        this.tunnelEstablished()
+      }
+    })
+  }
+
+  /** @private */
+  tunnelEstablished () {
+    clearTimeout(this._timer)
+
+    let socket = this._socket
+    socket.removeAllListeners()
+    if (this._buffer.length > 0) {
+      socket.unshift(this._buffer)
+    }
+    this._socket = null
+
+    /**
+     * @event IrcProxyClient#connect
+     * @param {net.Socket} socket The socket tunneled to the remote host.
+     */
+    this.emit('connect', socket)
+  }
+
+  /** @private */
+  fail (reason, message) {
+    if (!this._socket) {
+      return
+    }
+
+    clearTimeout(this._timer)
+
+    let socket = this._socket
+    this._socket = null
+    socket.removeAllListeners()
+    socket.on('error', () => {})
+    socket.destroy()
+
+    /**
+     * @event IrcProxyClient#error
+     * @param {ProxyError} error
+     */
+    this.emit('error', new ProxyError(reason, message))
+  }
+}
+
+/**
+ * Gets the length of a SOCKS5 reply, or -1 if not enough is received to tell.
+ * @private
+ */
+function getSocks5ReplyLength (buffer) {
+  if (buffer.length < 5) {
+    return -1
+  }
+  switch (buffer[3]) {
+    case 0x01:
+      return 4 + 4 + 2
+    case 0x03:
+      return 4 + 1 + buffer[4] + 2
+    case 0x04:
+      return 4 + 16 + 2
+    default:
+      return 4 + 2 // Invalid address type; the reply code is reported anyway.
+  }
+}
+
+/**
+ * Gets the length of a HTTP response header, or -1 if it is not completely received.
+ * @private
+ */
+function getHttpResponseLength (buffer) {
+  let index = buffer.indexOf('\r\n\r\n')
+  return index === -1 ? -1 : index + 4
+}
+
+/**
+ * Converts a textual IPv6 address to its 16 byte representation.
+ * @private
+ */
+function ipv6ToBuffer (address) {
+  let [head, tail] = address.split('::')
+  let headGroups = head ? head.split(':') : []
+  let tailGroups = tail ? tail.split(':') : []
+  let zeroGroups = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0
+  let groups = headGroups.concat(new Array(zeroGroups).fill('0'), tailGroups)
+
+  let buffer = Buffer.alloc(16)
+  groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2))
+  return buffer
+}
+
+module.exports = IrcProxyClient
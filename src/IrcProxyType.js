@@ -0,0 +1,26 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+/**
+ * Defines the types of proxy servers through which a connection can be tunneled.
+ *
+ * @readonly
+ * @enum {number}
+ */
+let IrcProxyType = {
+  /**
+   * A SOCKS4 proxy. Host names are resolved by the proxy (SOCKS4a).
+   */
+  socks4a: 1,
+  /**
+   * A SOCKS5 proxy, with optional user name and password authentication.
+   */
+  socks5: 2,
+  /**
+   * A HTTP proxy supporting the CONNECT method, with optional basic authentication.
+   */
+  http: 3
+}
+
+module.exports = IrcProxyType
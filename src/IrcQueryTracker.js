@@ -0,0 +1,147 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const { InvalidOperationError, QueryError, QueryTimeoutError } = require('./Errors.js')
+
+/**
+ * Correlates the replies of the server with the queries awaiting them.
+ *
+ * The server answers queries in the order they were sent, so a reply is matched to the oldest pending
+ * query of the same type, and with the same key (e.g. the nick name of a Who Is query) if the reply has one.
+ * An error reply is matched to the oldest pending query that expects it; if the server follows the error
+ * with the regular end of the reply, the query keeps its place until then, so the end is not mistaken for
+ * the reply to a later query.
+ *
+ * @class
+ * @package
+ */
+class IrcQueryTracker {
+  /**
+   * Initializes a new instance of the IrcQueryTracker class.
+   *
+   * @hideconstructor
+   * @param {IrcClient} client The IrcClient instance.
+   */
+  constructor (client) {
+    this._client = client
+    this._queries = []
+
+    client.on('whoIsReply', user => this.replyReceived('whoIs', user.nickName, user))
+    client.on('whoWasReply', user => this.replyReceived('whoWas', user.nickName, user))
+    client.on('whoReply', users => this.replyReceived('who', null, users))
+    client.on('serverVersion', info => this.replyReceived('serverVersion', null, info))
+    client.on('serverTime', (server, dateTime) => {
+      this.replyReceived('serverTime', null, { 'server': server, 'dateTime': dateTime })
+    })
+    client.on('serverLinks', links => this.replyReceived('serverLinks', null, links))
+    client.on('channelList', channels => this.replyReceived('channelList', null, channels))
+    client.on('batch', (type, parameters, messages) => {
+      if (type === 'chathistory') {
+        this.replyReceived('chatHistory', parameters[0], messages)
+      } else if (type === 'draft/chathistory-targets' || type === 'chathistory-targets') {
+        this.replyReceived('chatHistoryTargets', null, messages)
+      }
+    })
+    client.on('protocolError', (code, errorName, errorParameters, errorMessage) => {
+      this.errorReceived(code, code, errorName, errorParameters[0], errorMessage)
+    })
+    client.on('standardReply', (type, command, code, context, description) => {
+      if (type === 'FAIL') {
+        this.errorReceived(`FAIL ${command}`, 'FAIL', code, null, description)
+      }
+    })
+    client.on('connectionClosed', () => {
+      this.cancelAll(new InvalidOperationError('The connection was closed before the server replied.'))
+    })
+  }
+
+  /**
+   * Adds a query, which the caller is expected to send right after.
+   *
+   * @package
+   * @param {string} type The type of the query, which is the type of the reply it awaits.
+   * @param {string} key The key of the query, or null to match any reply of the type.
+   * @param {Object} errors The numerics of the error replies that fail the query (or 'FAIL' followed by the
+   * command, for FAIL standard replies), each mapped to true if the server follows the error with the regular
+   * end of the reply; otherwise false.
+   * @param {number} timeout The time after which the query fails, in milliseconds.
+   * @return {Promise} A promise that resolves with the reply.
+   */
+  add (type, key, errors, timeout) {
+    return new Promise((resolve, reject) => {
+      let query = {
+        'type': type,
+        'key': key ? key.toLowerCase() : null,
+        'errors': errors,
+        'resolve': resolve,
+        'reject': reject,
+        'isFailed': false,
+        'timer': null
+      }
+
+      query.timer = setTimeout(() => {
+        this.remove(query)
+        if (!query.isFailed) {
+          reject(new QueryTimeoutError(`The server did not reply to the ${type} query within ${timeout} ms.`))
+        }
+      }, timeout)
+
+      this._queries.push(query)
+    })
+  }
+
+  /** @private */
+  replyReceived (type, key, result) {
+    let query = this._queries.find(q => q.type === type &&
+      (q.key === null || key == null || q.key === key.toLowerCase()))
+    if (!query) {
+      return
+    }
+
+    this.remove(query)
+    if (!query.isFailed) {
+      query.resolve(result)
+    }
+  }
+
+  /** @private */
+  errorReceived (key, code, errorName, errorParameter, errorMessage) {
+    let query = this._queries.find(q => !q.isFailed && key in q.errors &&
+      (q.key === null || errorParameter == null || q.key === errorParameter.toLowerCase()))
+    if (!query) {
+      return
+    }
+
+    if (query.errors[key]) {
+      query.isFailed = true
+    } else {
+      this.remove(query)
+    }
+
+    query.reject(new QueryError(errorName, code, errorMessage))
+  }
+
+  /** @private */
+  cancelAll (error) {
+    let queries = this._queries
+    this._queries = []
+    queries.forEach(query => {
+      clearTimeout(query.timer)
+      if (!query.isFailed) {
+        query.reject(error)
+      }
+    })
+  }
+
+  /** @private */
+  remove (query) {
+    clearTimeout(query.timer)
+    let index = this._queries.indexOf(query)
+    if (index !== -1) {
+      this._queries.splice(index, 1)
+    }
+  }
+}
+
+module.exports = IrcQueryTracker
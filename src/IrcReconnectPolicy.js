@@ -0,0 +1,104 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const { ArgumentError } = require('./Errors.js')
+
+/**
+ * Represents a policy that decides when and how often the client reconnects after losing its connection,
+ * using exponential backoff with random jitter.
+ *
+ * @public
+ * @class
+ */
+class IrcReconnectPolicy {
+  /**
+   * Initializes a new instance of the IrcReconnectPolicy class.
+   *
+   * @throws {ArgumentError} if a parameter is out of range.
+   * @param {number} [maxAttempts=10] The maximum number of consecutive attempts, or Infinity for no limit.
+   * @param {number} [initialDelay=1000] The delay before the first attempt, in milliseconds.
+   * @param {number} [maxDelay=60000] The upper bound of the delay between attempts, in milliseconds.
+   * @param {number} [multiplier=2] The factor by which the delay grows after each attempt.
+   * @param {number} [jitter=0.5] The fraction (0 to 1) by which each delay is randomly varied.
+   */
+  constructor (maxAttempts = 10, initialDelay = 1000, maxDelay = 60000, multiplier = 2, jitter = 0.5) {
+    if (!(maxAttempts > 0)) {
+      throw new ArgumentError('maxAttempts must be greater than zero.')
+    }
+
+    if (!(initialDelay >= 0) || !(maxDelay >= initialDelay)) {
+      throw new ArgumentError('initialDelay must be non-negative and no greater than maxDelay.')
+    }
+
+    if (!(multiplier >= 1)) {
+      throw new ArgumentError('multiplier must be at least 1.')
+    }
+
+    if (!(jitter >= 0 && jitter <= 1)) {
+      throw new ArgumentError('jitter must be between 0 and 1.')
+    }
+
+    this._maxAttempts = maxAttempts
+    this._initialDelay = initialDelay
+    this._maxDelay = maxDelay
+    this._multiplier = multiplier
+    this._jitter = jitter
+  }
+
+  /**
+   * Gets the maximum number of consecutive reconnection attempts.
+   *
+   * @public
+   * @return {number} The maximum number of attempts.
+   */
+  get maxAttempts () {
+    return this._maxAttempts
+  }
+
+  /**
+   * Gets the delay before the first reconnection attempt.
+   *
+   * @public
+   * @return {number} The initial delay, in milliseconds.
+   */
+  get initialDelay () {
+    return this._initialDelay
+  }
+
+  /**
+   * Gets the upper bound of the delay between reconnection attempts.
+   *
+   * @public
+   * @return {number} The maximum delay, in milliseconds.
+   */
+  get maxDelay () {
+    return this._maxDelay
+  }
+
+  /**
+   * Gets whether another reconnection attempt may be made.
+   *
+   * @public
+   * @param {number} attempt The number of the attempt, starting at 1.
+   * @return {boolean} True if the attempt may be made; otherwise false.
+   */
+  canReconnect (attempt) {
+    return attempt <= this._maxAttempts
+  }
+
+  /**
+   * Gets the time to wait before making the specified reconnection attempt.
+   *
+   * @public
+   * @param {number} attempt The number of the attempt, starting at 1.
+   * @return {number} The delay before the attempt, in milliseconds.
+   */
+  getDelay (attempt) {
+    let delay = Math.min(this._maxDelay, this._initialDelay * Math.pow(this._multiplier, attempt - 1))
+    let variation = delay * this._jitter * (Math.random() * 2 - 1)
+    return Math.round(Math.max(0, Math.min(this._maxDelay, delay + variation)))
+  }
+}
+
+module.exports = IrcReconnectPolicy
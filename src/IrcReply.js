@@ -20,7 +20,7 @@ let IrcReply = {
   '007': 'RPL_MAPEND',
   '008': 'RPL_SNOMASK',
   '009': 'RPL_STATMEMTOT',
-  '010': 'RPL_STATMEM',
+  '010': 'RPL_STATMEM / RPL_REDIR',
   '014': 'RPL_YOURCOOKIE',
   '015': 'RPL_MAP',
   '016': 'RPL_MAPMORE',
@@ -152,7 +152,7 @@ let IrcReply = {
   '327': 'RPL_CHPASSUNKNOWN',
   '328': 'RPL_CHANNEL_URL',
   '329': 'RPL_CREATIONTIME',
-  '330': 'RPL_WHOWAS_TIME',
+  '330': 'RPL_WHOWAS_TIME / RPL_WHOISACCOUNT',
   '331': 'RPL_NOTOPIC',
   '332': 'RPL_TOPIC',
   '333': 'RPL_TOPICWHOTIME',
@@ -247,7 +247,7 @@ let IrcReply = {
   '664': 'RPL_SERVMODEIS',
   '665': 'RPL_OTHERUMODEIS',
   '666': 'RPL_ENDOF_GENERIC',
-  '670': 'RPL_WHOWASDETAILS',
+  '670': 'RPL_WHOWASDETAILS / RPL_STARTTLS',
   '671': 'RPL_WHOISSECURE',
   '672': 'RPL_UNKNOWNMODES',
   '673': 'RPL_CANNOTSETMODES',
@@ -276,9 +276,17 @@ let IrcReply = {
   '724': 'RPL_TESTMARK',
   '725': 'RPL_TESTLINE',
   '726': 'RPL_NOTESTLINE',
+  '730': 'RPL_MONONLINE',
+  '731': 'RPL_MONOFFLINE',
+  '732': 'RPL_MONLIST',
+  '733': 'RPL_ENDOFMONLIST',
   '771': 'RPL_XINFO',
   '773': 'RPL_XINFOSTART',
-  '774': 'RPL_XINFOEND'
+  '774': 'RPL_XINFOEND',
+  '900': 'RPL_LOGGEDIN',
+  '901': 'RPL_LOGGEDOUT',
+  '903': 'RPL_SASLSUCCESS',
+  '908': 'RPL_SASLMECHS'
 }
 
 module.exports = IrcReply
@@ -0,0 +1,160 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const crypto = require('crypto')
+
+const { ArgumentNullError, ArgumentError, ProtocolViolationError } = require('./Errors.js')
+
+const supportedMechanisms = ['PLAIN', 'EXTERNAL', 'SCRAM-SHA-256']
+
+/**
+ * Computes the responses to the challenges of the server for a SASL mechanism.
+ *
+ * PLAIN sends the account name and password, EXTERNAL relies on the TLS client certificate of the connection,
+ * and SCRAM-SHA-256 proves knowledge of the password without sending it, and verifies the server in turn.
+ *
+ * @class
+ * @package
+ */
+class IrcSaslAuthenticator {
+  /**
+   * Initializes a new instance of the IrcSaslAuthenticator class.
+   *
+   * @hideconstructor
+   * @throws {ArgumentNullError} if the account name or password is required by the mechanism, but null.
+   * @throws {ArgumentError} if the mechanism is not supported.
+   * @param {string} mechanism The name of the mechanism; one of 'PLAIN', 'EXTERNAL' or 'SCRAM-SHA-256'.
+   * @param {string} [accountName] The name of the account to log in to.
+   * @param {string} [password] The password of the account.
+   */
+  constructor (mechanism, accountName = null, password = null) {
+    if (!mechanism) {
+      throw new ArgumentNullError('mechanism')
+    }
+
+    mechanism = mechanism.toUpperCase()
+    if (!supportedMechanisms.includes(mechanism)) {
+      throw new ArgumentError(`The SASL mechanism '${mechanism}' is not supported.`)
+    }
+
+    if (mechanism !== 'EXTERNAL') {
+      if (!accountName) {
+        throw new ArgumentNullError('accountName')
+      }
+
+      if (!password) {
+        throw new ArgumentNullError('password')
+      }
+    }
+
+    this._mechanism = mechanism
+    this._accountName = accountName
+    this._password = password
+    this._step = 0
+    this._scram = null
+  }
+
+  /**
+   * Gets the name of the mechanism.
+   *
+   * @package
+   * @return {string} The name of the mechanism.
+   */
+  get mechanism () {
+    return this._mechanism
+  }
+
+  /**
+   * Computes the response to the specified challenge.
+   *
+   * @package
+   * @throws {ProtocolViolationError} if the challenge is invalid, or the server failed to prove its identity.
+   * @param {Buffer} challenge The challenge sent by the server, which is empty for the first step.
+   * @return {Buffer} The response, which may be empty.
+   */
+  respond (challenge) {
+    let step = this._step++
+
+    switch (this._mechanism) {
+      case 'PLAIN':
+        return Buffer.from(`\0${this._accountName}\0${this._password}`, 'utf8')
+      case 'EXTERNAL':
+        return Buffer.alloc(0)
+      case 'SCRAM-SHA-256':
+        if (step === 0) {
+          return this.getScramClientFirstMessage()
+        } else if (step === 1) {
+          return this.getScramClientFinalMessage(challenge.toString('utf8'))
+        } else {
+          this.verifyScramServerFinalMessage(challenge.toString('utf8'))
+          return Buffer.alloc(0)
+        }
+    }
+  }
+
+  /** @private */
+  getScramClientFirstMessage () {
+    let nonce = crypto.randomBytes(24).toString('base64')
+    let userName = this._accountName.replace(/=/g, '=3D').replace(/,/g, '=2C')
+    this._scram = { 'nonce': nonce, 'clientFirstMessageBare': `n=${userName},r=${nonce}` }
+    return Buffer.from(`n,,${this._scram.clientFirstMessageBare}`, 'utf8')
+  }
+
+  /** @private */
+  getScramClientFinalMessage (serverFirstMessage) {
+    let attributes = parseScramAttributes(serverFirstMessage)
+    if (!attributes.r || !attributes.s || !attributes.i || !attributes.r.startsWith(this._scram.nonce)) {
+      throw new ProtocolViolationError('The server sent an invalid SCRAM challenge.')
+    }
+
+    let saltedPassword = crypto.pbkdf2Sync(this._password.normalize('NFKC'),
+      Buffer.from(attributes.s, 'base64'), parseInt(attributes.i), 32, 'sha256')
+    let clientKey = hmac(saltedPassword, 'Client Key')
+    let storedKey = crypto.createHash('sha256').update(clientKey).digest()
+
+    let clientFinalMessageWithoutProof = `c=biws,r=${attributes.r}`
+    let authMessage = [this._scram.clientFirstMessageBare, serverFirstMessage, clientFinalMessageWithoutProof].join(',')
+
+    let clientSignature = hmac(storedKey, authMessage)
+    let clientProof = Buffer.from(clientKey.map((byte, i) => byte ^ clientSignature[i]))
+
+    this._scram.serverSignature = hmac(hmac(saltedPassword, 'Server Key'), authMessage).toString('base64')
+
+    return Buffer.from(`${clientFinalMessageWithoutProof},p=${clientProof.toString('base64')}`, 'utf8')
+  }
+
+  /** @private */
+  verifyScramServerFinalMessage (serverFinalMessage) {
+    let attributes = parseScramAttributes(serverFinalMessage)
+    if (attributes.e) {
+      throw new ProtocolViolationError(`The server rejected the SCRAM authentication: ${attributes.e}`)
+    }
+
+    if (attributes.v !== this._scram.serverSignature) {
+      throw new ProtocolViolationError('The server failed to prove knowledge of the password.')
+    }
+  }
+}
+
+/**
+ * Parses the comma separated attributes of a SCRAM message.
+ * @private
+ */
+function parseScramAttributes (message) {
+  let attributes = {}
+  message.split(',').forEach(attribute => {
+    let equalsIndex = attribute.indexOf('=')
+    if (equalsIndex > 0) {
+      attributes[attribute.substr(0, equalsIndex)] = attribute.substr(equalsIndex + 1)
+    }
+  })
+  return attributes
+}
+
+/** @private */
+function hmac (key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest()
+}
+
+module.exports = IrcSaslAuthenticator
@@ -0,0 +1,98 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const net = require('net')
+const tls = require('tls')
+
+const IrcTransport = require('./IrcTransport.js')
+const IrcProxyClient = require('./IrcProxyClient.js')
+const { ArgumentNullError, ArgumentError } = require('./Errors.js')
+
+/**
+ * Represents a transport over a TCP or Unix domain socket, optionally secured with TLS
+ * and optionally tunneled through a proxy server.
+ *
+ * This is the transport used by {@link IrcClient} unless another transport is given.
+ *
+ * @public
+ * @class
+ * @extends IrcTransport
+ *
+ * @example
+ *
+ * let transport = new IrcSocketTransport({ 'path': '/var/run/znc.sock', 'secure': false })
+ * client.connect('znc', null, registrationInfo, { 'transport': transport })
+ *
+ */
+class IrcSocketTransport extends IrcTransport {
+  /**
+   * Initializes a new instance of the IrcSocketTransport class.
+   *
+   * @throws {ArgumentNullError} if a parameter is null.
+   * @throws {ArgumentError} if neither a host name and port, nor a path is given.
+   * @param {Object} options The socket options.
+   * @param {string} [options.hostName] The name of the remote host.
+   * @param {number} [options.port] The port number of the remote host.
+   * @param {string} [options.path] The path of a Unix domain socket, used instead of the host name and port.
+   * @param {boolean} [options.secure=false] True to secure the socket with TLS as soon as it connects.
+   * @param {Object} [options.tls] The options passed on to `tls.connect`.
+   * @param {Object} [options.proxy] The proxy server through which to tunnel the connection.
+   */
+  constructor (options) {
+    super()
+
+    if (!options) {
+      throw new ArgumentNullError('options')
+    }
+
+    if (!options.path && !(options.hostName && options.port)) {
+      throw new ArgumentError('Either a hostName and port, or a path must be specified.')
+    }
+
+    this._options = Object.assign({ 'secure': false, 'tls': {}, 'proxy': null }, options)
+  }
+
+  /**
+   * Connects the socket.
+   *
+   * @public
+   * @fires IrcTransport#connect
+   */
+  connect () {
+    let options = this._options
+
+    if (options.proxy) {
+      let proxyClient = new IrcProxyClient(options.proxy)
+      proxyClient.once('connect', socket => this.proxyConnected(socket))
+      proxyClient.once('error', error => {
+        this.emit('error', error)
+        this.emit('close', true)
+      })
+      this._stream = proxyClient.connect(options.hostName, options.port)
+      return
+    }
+
+    let connectOptions = options.path
+      ? { 'path': options.path }
+      : { 'host': options.hostName, 'port': options.port }
+
+    if (options.secure) {
+      this.attach(tls.connect(Object.assign({}, options.tls, connectOptions)), true)
+    } else {
+      this.attach(net.connect(connectOptions), false)
+    }
+  }
+
+  /** @private */
+  proxyConnected (socket) {
+    if (this._options.secure) {
+      this.attach(tls.connect(Object.assign({}, this._options.tls, { 'socket': socket })), true)
+    } else {
+      this.attach(socket, false, false)
+      this.emit('connect')
+    }
+  }
+}
+
+module.exports = IrcSocketTransport
@@ -0,0 +1,65 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const IrcTransport = require('./IrcTransport.js')
+const { ArgumentNullError, InvalidOperationError } = require('./Errors.js')
+
+/**
+ * Represents a transport over an arbitrary duplex stream that is already connected,
+ * such as an in-memory stream.
+ *
+ * A function that creates a new stream may be given instead of a stream, which allows the client to reconnect.
+ *
+ * @public
+ * @class
+ * @extends IrcTransport
+ *
+ * @example
+ *
+ * let transport = new IrcStreamTransport(() => createServerConnection())
+ * client.connect('localhost', null, registrationInfo, { 'transport': transport })
+ *
+ */
+class IrcStreamTransport extends IrcTransport {
+  /**
+   * Initializes a new instance of the IrcStreamTransport class.
+   *
+   * @throws {ArgumentNullError} if a parameter is null.
+   * @param {stream.Duplex|function} stream The stream to use, or a function that returns a new stream.
+   */
+  constructor (stream) {
+    super()
+
+    if (!stream) {
+      throw new ArgumentNullError('stream')
+    }
+
+    this._streamFactory = typeof stream === 'function' ? stream : null
+    this._initialStream = typeof stream === 'function' ? null : stream
+  }
+
+  /**
+   * Starts using the stream.
+   *
+   * @public
+   * @throws {InvalidOperationError} if a stream instance was given and it has already been used.
+   * @fires IrcTransport#connect
+   */
+  connect () {
+    let stream = null
+    if (this._streamFactory) {
+      stream = this._streamFactory()
+    } else if (this._initialStream) {
+      stream = this._initialStream
+      this._initialStream = null
+    } else {
+      throw new InvalidOperationError('The stream has already been used; give a function to allow reconnecting.')
+    }
+
+    this.attach(stream, false, false)
+    process.nextTick(() => this.emit('connect'))
+  }
+}
+
+module.exports = IrcStreamTransport
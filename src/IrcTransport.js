@@ -0,0 +1,184 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const tls = require('tls')
+const events = require('events')
+const { EventEmitter } = events
+const { InvalidOperationError } = require('./Errors.js')
+
+/**
+ * Represents the connection over which an {@link IrcClient} exchanges data with the server.
+ *
+ * A transport wraps a duplex stream. Subclasses implement {@link IrcTransport#connect} to create the stream,
+ * and hand it to {@link IrcTransport#attach}, which forwards the events of the stream.
+ *
+ * @public
+ * @class
+ * @extends EventEmitter
+ */
+class IrcTransport extends EventEmitter {
+  /**
+   * Initializes a new instance of the IrcTransport class.
+   *
+   * @constructor
+   */
+  constructor () {
+    super()
+
+    this._stream = null
+  }
+
+  /**
+   * Gets whether the transport is currently secured with TLS.
+   *
+   * @public
+   * @return {boolean} True if the transport is secured; otherwise false.
+   */
+  get isSecure () {
+    return this._stream instanceof tls.TLSSocket && this._stream.encrypted === true
+  }
+
+  /**
+   * Gets whether the transport only carries UTF-8 text, in which case the client sends all text as UTF-8.
+   *
+   * @public
+   * @return {boolean} True if the transport only carries UTF-8; otherwise false.
+   */
+  get isUtf8Only () {
+    return false
+  }
+
+  /**
+   * Opens the transport.
+   *
+   * @public
+   * @abstract
+   * @fires IrcTransport#connect
+   */
+  connect () {
+    throw new InvalidOperationError(`${this.constructor.name} does not implement connect.`)
+  }
+
+  /**
+   * Writes the specified data to the transport.
+   *
+   * @public
+   * @param {string|Buffer} data The data to write.
+   */
+  write (data) {
+    if (!this._stream) {
+      throw new InvalidOperationError('The transport is not connected.')
+    }
+
+    this._stream.write(data)
+  }
+
+  /**
+   * Half-closes the transport, allowing the server to send any remaining data.
+   *
+   * @public
+   */
+  end () {
+    if (this._stream) {
+      this._stream.end()
+    }
+  }
+
+  /**
+   * Closes the transport immediately.
+   *
+   * @public
+   */
+  destroy () {
+    if (this._stream) {
+      this._stream.destroy()
+    }
+  }
+
+  /**
+   * Upgrades the transport to TLS, as done after a successful STARTTLS.
+   *
+   * @public
+   * @fires IrcTransport#secureConnect
+   * @param {Object} tlsOptions The options passed on to `tls.connect`.
+   */
+  startTls (tlsOptions) {
+    let stream = this.detach()
+    this.attach(tls.connect(Object.assign({}, tlsOptions, { 'socket': stream })), true, false)
+  }
+
+  /**
+   * Forwards the events of the specified stream from the transport.
+   *
+   * @protected
+   * @param {stream.Duplex} stream The stream to use.
+   * @param {boolean} isSecure True if the stream is a TLS socket; otherwise false.
+   * @param {boolean} [isConnecting=true] True if the stream has yet to connect; otherwise false.
+   */
+  attach (stream, isSecure, isConnecting = true) {
+    this._stream = stream
+
+    if (typeof stream.setKeepAlive === 'function') {
+      stream.setKeepAlive(true, 5000)
+    }
+
+    /**
+     * @event IrcTransport#data
+     * @param {string|Buffer} data
+     */
+    stream.on('data', data => this.emit('data', data))
+    /**
+     * @event IrcTransport#error
+     * @param {Error} error
+     */
+    stream.on('error', error => this.emit('error', error))
+    /**
+     * @event IrcTransport#close
+     * @param {boolean} hadError
+     */
+    stream.on('close', hadError => this.emit('close', hadError === true))
+
+    if (isSecure) {
+      stream.on('secureConnect', () => {
+        /**
+         * @event IrcTransport#secureConnect
+         * @property {string} protocol The negotiated TLS protocol version.
+         * @property {Object} cipher The negotiated cipher suite.
+         * @property {Object} certificate The certificate of the server.
+         * @property {boolean} authorized True if the certificate was verified; otherwise false.
+         * @property {string} authorizationError The reason the certificate was not verified.
+         */
+        this.emit('secureConnect', {
+          'protocol': stream.getProtocol(),
+          'cipher': stream.getCipher(),
+          'certificate': stream.getPeerCertificate(),
+          'authorized': stream.authorized,
+          'authorizationError': stream.authorizationError
+        })
+      })
+    }
+
+    if (isConnecting) {
+      /**
+       * @event IrcTransport#connect
+       */
+      stream.once(isSecure ? 'secureConnect' : 'connect', () => this.emit('connect'))
+    }
+  }
+
+  /**
+   * Stops forwarding the events of the current stream, and returns it.
+   *
+   * @protected
+   * @return {stream.Duplex} The stream that was used.
+   */
+  detach () {
+    let stream = this._stream
+    stream.removeAllListeners()
+    this._stream = null
+    return stream
+  }
+}
+
+module.exports = IrcTransport
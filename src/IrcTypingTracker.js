@@ -0,0 +1,103 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const activeTimeout = 6000
+const pausedTimeout = 30000
+
+/**
+ * Tracks the typing notifications of the users writing to a channel or user.
+ *
+ * A user who stops sending notifications is considered done typing once they expire; 6 seconds after being
+ * active, or 30 seconds after being paused. Sending a message also ends the typing of the user.
+ *
+ * @class
+ * @package
+ */
+class IrcTypingTracker {
+  /**
+   * Initializes a new instance of the IrcTypingTracker class.
+   *
+   * @hideconstructor
+   * @param {Function} onTyping The function called with the source, state and time whenever the state of a
+   * source changes.
+   */
+  constructor (onTyping) {
+    this._onTyping = onTyping
+    this._typingSources = new Map()
+  }
+
+  /**
+   * Updates the state of the specified source, from a typing notification.
+   *
+   * @package
+   * @param {IrcUser|IrcChannel} source The source of the notification.
+   * @param {string} state The state; one of 'active', 'paused' or 'done'.
+   * @param {Date} time The time of the notification.
+   */
+  typingReceived (source, state, time) {
+    if (state !== 'active' && state !== 'paused' && state !== 'done') {
+      return
+    }
+
+    let previousState = this.stop(source)
+    if (state === 'done') {
+      if (previousState !== null) {
+        this._onTyping(source, state, time)
+      }
+      return
+    }
+
+    let timer = setTimeout(() => {
+      this._typingSources.delete(source)
+      this._onTyping(source, 'done', new Date())
+    }, state === 'active' ? activeTimeout : pausedTimeout)
+    this._typingSources.set(source, { 'state': state, 'timer': timer })
+
+    // Notifications are repeated while typing, so only changes are reported.
+    if (state !== previousState) {
+      this._onTyping(source, state, time)
+    }
+  }
+
+  /**
+   * Ends the typing of the specified source, which has sent a message.
+   *
+   * @package
+   * @param {IrcUser|IrcChannel} source The source of the message.
+   * @param {Date} time The time of the message.
+   */
+  messageReceived (source, time) {
+    if (this.stop(source) !== null) {
+      this._onTyping(source, 'done', time)
+    }
+  }
+
+  /**
+   * Stops tracking all sources, without reporting it, e.g. when the connection is closed.
+   *
+   * @package
+   */
+  clear () {
+    this._typingSources.forEach(typingSource => clearTimeout(typingSource.timer))
+    this._typingSources.clear()
+  }
+
+  /**
+   * Stops tracking the specified source.
+   * @private
+   * @return {string} The state of the source, or null if it was not typing.
+   */
+  stop (source) {
+    let typingSource = this._typingSources.get(source)
+    if (typingSource === undefined) {
+      return null
+    }
+
+    clearTimeout(typingSource.timer)
+    this._typingSources.delete(source)
+    return typingSource.state
+  }
+}
+
+module.exports = IrcTypingTracker
@@ -5,6 +5,8 @@
 const events = require('events')
 const { EventEmitter } = events
 
+const IrcTypingTracker = require('./IrcTypingTracker.js')
+
 /**
  * Represents an IRC user that exists on a specific {@link IrcClient}.
  *
@@ -26,7 +28,9 @@ class IrcUser extends EventEmitter {
     this._isOnline = false
     this._nickName = null
     this._userName = null
+    this._hostName = null
     this._realName = null
+    this._accountName = null
     this._idleDuration = null
     this._isOperator = false
     this._serverName = null
@@ -34,6 +38,17 @@ class IrcUser extends EventEmitter {
     this._isAway = false
     this._awayMessage = null
     this._hopCount = 0
+    this._typingTracker = new IrcTypingTracker((source, state, time) => {
+      /**
+       * Fired on the user who is typing to the local user.
+       *
+       * @event IrcUser#typing
+       * @param {IrcUser} source
+       * @param {string} state The state; one of 'active', 'paused' or 'done'.
+       * @param {Date} time
+       */
+      this.emit('typing', source, state, time)
+    })
   }
 
   /**
@@ -105,7 +120,8 @@ class IrcUser extends EventEmitter {
   }
 
   /**
-   * Gets the current user name of the user. This value never changes until the user reconnects.
+   * Gets the current user name of the user. This value never changes until the user reconnects,
+   * unless the server supports chghost.
    *
    * @public
    */
@@ -131,6 +147,33 @@ class IrcUser extends EventEmitter {
    *
    * @public
    */
+  get hostName () {
+    return this._hostName
+  }
+
+  /**
+   * Sets the host name of the user
+   *
+   * @fires IrcUser#hostName
+   */
+  set hostName (value) {
+    // The host name is set from the prefix of every message the user sends, so only changes are reported.
+    if (this._hostName === value) {
+      return
+    }
+
+    this._hostName = value
+    /**
+     * @event IrcUser#hostName
+     */
+    this.emit('hostName')
+  }
+
+  /**
+   * Gets the real name of the user.
+   *
+   * @public
+   */
   get realName () {
     return this._realName
   }
@@ -148,6 +191,35 @@ class IrcUser extends EventEmitter {
     this.emit('realName')
   }
 
+  /**
+   * Gets the name of the services account the user is logged in to, or null if the user is not logged in
+   * or the account is unknown. This is set by the account-notify, extended-join and account-tag capabilities,
+   * and when a Who Is response is received.
+   *
+   * @public
+   */
+  get accountName () {
+    return this._accountName
+  }
+
+  /**
+   * Sets the name of the services account the user is logged in to.
+   *
+   * @fires IrcUser#account
+   */
+  set accountName (value) {
+    if (this._accountName === value) {
+      return
+    }
+
+    this._accountName = value
+    /**
+     * @event IrcUser#account
+     * @param {string} accountName The name of the account, or null if the user logged out.
+     */
+    this.emit('account', value)
+  }
+
   /**
    * Gets the duration for which the user has been idle. This is set when a Who Is response is received.
    *
@@ -237,9 +309,10 @@ class IrcUser extends EventEmitter {
   }
 
   /**
-   * Gets whether the user has been been seen as away. This value is always up-to-date for the local user;
-   * though it is only updated for remote users when a private message is sent to them or a Who Is response
-   * is received for the user.
+   * Gets whether the user has been been seen as away. This value is always up-to-date for the local user,
+   * and for remote users sharing a channel with the local user when the server supports away-notify;
+   * otherwise it is only updated when a private message is sent to them, a Who or Who Is response is received
+   * for the user, or the client polls the away status (see the `awayPollInterval` connection option).
    *
    * @public
    */
@@ -324,6 +397,20 @@ class IrcUser extends EventEmitter {
     this.client.queryWhoWas([this._nickName], entriesCount)
   }
 
+  /**
+   * Requests the messages of the private conversation with the user, as stored by the server, and waits for them.
+   * See {@link IrcClient#getChatHistoryAsync}.
+   *
+   * @public
+   * @param {string} [subcommand='LATEST'] One of 'LATEST', 'BEFORE', 'AFTER', 'AROUND' or 'BETWEEN'.
+   * @param {Array<Date|string>} [references] The times or msgids relative to which to find the messages.
+   * @param {number} [limit] The maximum number of messages to return.
+   * @return {Promise<Object[]>} A promise that resolves with the messages.
+   */
+  getHistoryAsync (subcommand = 'LATEST', references = [], limit = null) {
+    return this.client.getChatHistoryAsync(this._nickName, subcommand, references, limit)
+  }
+
   /**
    * Gets a array of all channel users that correspond to the user.
    * Each IrcChannelUser represents a channel of which the user is currently a member.
@@ -353,7 +440,7 @@ class IrcUser extends EventEmitter {
     return this.nickName
   }
 
-  quit (comment) {
+  quit (comment, time = new Date()) {
     let allChannelUsers = []
     this.client.channels.forEach(channel => {
       channel.users.forEach(channelUser => {
@@ -363,29 +450,79 @@ class IrcUser extends EventEmitter {
       })
     })
 
-    allChannelUsers.forEach(cu => cu.channel.userQuit(cu, comment))
+    allChannelUsers.forEach(cu => cu.channel.userQuit(cu, comment, time))
 
     /**
      * @event IrcUser#quit
      * @param {string} comment
+     * @param {Date} time
+     */
+    this.emit('quit', comment, time)
+  }
+
+  awayChanged (isAway, awayMessage = null, time = new Date()) {
+    // A Who reply tells whether the user is away, but not why.
+    awayMessage = isAway ? awayMessage || this._awayMessage : null
+    if (this._isAway === isAway && this._awayMessage === awayMessage) {
+      return
+    }
+
+    this.awayMessage = awayMessage
+    this.isAway = isAway
+
+    /**
+     * @event IrcUser#away
+     * @param {boolean} isAway
+     * @param {string} awayMessage
+     * @param {Date} time
      */
-    this.emit('quit', comment)
+    this.emit('away', isAway, awayMessage, time)
   }
 
-  joinChannel (channel) {
+  hostChanged (userName, hostName, time = new Date()) {
+    this.userName = userName
+    this.hostName = hostName
+
+    /**
+     * @event IrcUser#hostChanged
+     * @param {string} userName
+     * @param {string} hostName
+     * @param {Date} time
+     */
+    this.emit('hostChanged', userName, hostName, time)
+
+    this.getChannelUsers().forEach(cu => cu.channel.userHostChanged(cu, time))
+  }
+
+  realNameChanged (realName, time = new Date()) {
+    this.realName = realName
+
+    /**
+     * @event IrcUser#realNameChanged
+     * @param {string} realName
+     * @param {Date} time
+     */
+    this.emit('realNameChanged', realName, time)
+
+    this.getChannelUsers().forEach(cu => cu.channel.userRealNameChanged(cu, time))
+  }
+
+  joinChannel (channel, time = new Date()) {
     /**
      * @event IrcUser#joinedChannel
      * @param {IrcChannel} channel
+     * @param {Date} time
      */
-    this.emit('joinedChannel', channel)
+    this.emit('joinedChannel', channel, time)
   }
 
-  partChannel (channel) {
+  partChannel (channel, time = new Date()) {
     /**
      * @event IrcUser#partedChannel
      * @param {IrcChannel} channel
+     * @param {Date} time
      */
-    this.emit('partedChannel', channel)
+    this.emit('partedChannel', channel, time)
   }
 
   inviteReceived (source, channel) {
@@ -406,14 +543,27 @@ class IrcUser extends EventEmitter {
     this.emit('action', source, messageText)
   }
 
-  messageReceived (source, targets, messageText) {
-    let previewMessageEventArgs = { 'handled': false, 'source': source, 'targets': targets, 'text': messageText }
+  messageReceived (source, targets, messageText, tags = {}, time = new Date()) {
+    this.getTypingTracker(source).messageReceived(source, time)
+
+    let previewMessageEventArgs = {
+      'handled': false,
+      'source': source,
+      'targets': targets,
+      'text': messageText,
+      'tags': tags,
+      'msgid': tags.msgid || null,
+      'time': time
+    }
     /**
      * @event IrcUser#previewMessage
      * @property {boolean} handled
      * @property {IrcUser|IrcChannel} source
      * @property {string[]} targets
      * @property {string} messageText
+     * @property {Object} tags
+     * @property {string} msgid
+     * @property {Date} time
      */
     this.emit('previewMessage', previewMessageEventArgs)
 
@@ -422,19 +572,91 @@ class IrcUser extends EventEmitter {
        * @event IrcUser#message
        * @param {IrcUser|IrcChannel} source
        * @param {string} messageText
+       * @param {Object} tags
+       * @param {Date} time
+       */
+      this.emit('message', source, targets, messageText, tags, time)
+
+      if (tags['+draft/reply']) {
+        /**
+         * @event IrcUser#reply
+         * @param {IrcUser|IrcChannel} source
+         * @param {string[]} targets
+         * @param {string} messageId The msgid of the message replied to.
+         * @param {string} messageText
+         * @param {Object} tags
+         * @param {Date} time
+         */
+        this.emit('reply', source, targets, tags['+draft/reply'], messageText, tags, time)
+      }
+    }
+  }
+
+  /**
+   * Forgets who is typing, without reporting it, e.g. when the connection is closed.
+   *
+   * @package
+   */
+  clearTyping () {
+    this._typingTracker.clear()
+  }
+
+  /**
+   * Gets the tracker of the private typing notifications of the specified source, which are reported by the user
+   * who is typing rather than by the local user receiving them.
+   * @private
+   */
+  getTypingTracker (source) {
+    return source instanceof IrcUser ? source._typingTracker : this._typingTracker
+  }
+
+  tagMessageReceived (source, targets, tags, time = new Date()) {
+    /**
+     * @event IrcUser#tagMessage
+     * @param {IrcUser|IrcChannel} source
+     * @param {string[]} targets
+     * @param {Object} tags
+     * @param {Date} time
+     */
+    this.emit('tagMessage', source, targets, tags, time)
+
+    let typingState = tags['+typing'] || tags['+draft/typing']
+    if (typingState) {
+      this.getTypingTracker(source).typingReceived(source, typingState, time)
+    }
+
+    if (tags['+draft/react'] && tags['+draft/reply']) {
+      /**
+       * @event IrcUser#reaction
+       * @param {IrcUser|IrcChannel} source
+       * @param {string[]} targets
+       * @param {string} messageId The msgid of the message reacted to.
+       * @param {string} emoji
+       * @param {Date} time
        */
-      this.emit('message', source, targets, messageText)
+      this.emit('reaction', source, targets, tags['+draft/reply'], tags['+draft/react'], time)
     }
   }
 
-  noticeReceived (source, targets, noticeText) {
-    let previewNoticeEventArgs = { 'handled': false, 'source': source, 'targets': targets, 'text': noticeText }
+  noticeReceived (source, targets, noticeText, tags = {}, time = new Date()) {
+    let previewNoticeEventArgs = {
+      'handled': false,
+      'source': source,
+      'targets': targets,
+      'text': noticeText,
+      'tags': tags,
+      'msgid': tags.msgid || null,
+      'time': time
+    }
     /**
      * @event IrcUser#previewNotice
      * @property {boolean} handled
      * @property {IrcUser|IrcChannel} source
      * @property {string[]} targets
      * @property {string} noticeText
+     * @property {Object} tags
+     * @property {string} msgid
+     * @property {Date} time
      */
     this.emit('previewNotice', previewNoticeEventArgs)
 
@@ -443,8 +665,10 @@ class IrcUser extends EventEmitter {
        * @event IrcUser#notice
        * @param {IrcUser|IrcChannel} source
        * @param {string} noticeText
+       * @param {Object} tags
+       * @param {Date} time
        */
-      this.emit('notice', source, targets, noticeText)
+      this.emit('notice', source, targets, noticeText, tags, time)
     }
   }
 }
@@ -0,0 +1,213 @@
+// Copyright (c) 2018 Claus Jørgensen
+// This code is licensed under MIT license (see LICENSE.txt for details)
+'use strict'
+
+const WebSocket = require('ws')
+
+const IrcTransport = require('./IrcTransport.js')
+const { ArgumentNullError, ArgumentError, InvalidOperationError } = require('./Errors.js')
+
+const textSubprotocol = 'text.ircv3.net'
+const binarySubprotocol = 'binary.ircv3.net'
+
+/**
+ * Represents a transport over the IRCv3 WebSocket binding, where every IRC message is sent
+ * as a single WebSocket message without the trailing CR-LF.
+ *
+ * The client offers the `binary.ircv3.net` and `text.ircv3.net` subprotocols, preferring the one
+ * given in the options, and uses text mode if the server does not negotiate a subprotocol.
+ * Text mode only carries UTF-8, so the client then sends all text as UTF-8, regardless of its encoding settings.
+ *
+ * @public
+ * @class
+ * @extends IrcTransport
+ *
+ * @example
+ *
+ * let transport = new IrcWebSocketTransport('wss://irc.unseenuniversity.dw/webirc')
+ * client.connect('irc.unseenuniversity.dw', null, registrationInfo, { 'transport': transport })
+ *
+ */
+class IrcWebSocketTransport extends IrcTransport {
+  /**
+   * Initializes a new instance of the IrcWebSocketTransport class.
+   *
+   * @throws {ArgumentNullError} if a parameter is null.
+   * @throws {ArgumentError} if the mode is neither 'text' nor 'binary'.
+   * @param {string} url The ws:// or wss:// URL of the WebSocket endpoint.
+   * @param {Object} [options] The WebSocket options.
+   * @param {string} [options.mode='text'] The preferred mode, either 'text' or 'binary'.
+   * @param {Object} [options.webSocket] The options passed on to the WebSocket, e.g. `ca`, `headers` or `origin`.
+   */
+  constructor (url, options = {}) {
+    super()
+
+    if (!url) {
+      throw new ArgumentNullError('url')
+    }
+
+    let mode = options.mode || 'text'
+    if (mode !== 'text' && mode !== 'binary') {
+      throw new ArgumentError(`The WebSocket mode '${mode}' is invalid.`)
+    }
+
+    this._url = url
+    this._mode = mode
+    this._webSocketOptions = options.webSocket || {}
+    this._webSocket = null
+    this._isSecure = false
+    this._isBinary = false
+  }
+
+  /**
+   * Gets the URL of the WebSocket endpoint.
+   *
+   * @public
+   * @return {string} The URL.
+   */
+  get url () {
+    return this._url
+  }
+
+  /**
+   * Gets whether the negotiated mode is binary, as opposed to text.
+   *
+   * @public
+   * @return {boolean} True if messages are sent as binary; otherwise false.
+   */
+  get isBinary () {
+    return this._isBinary
+  }
+
+  /**
+   * Gets whether the transport only carries UTF-8 text, which is the case in text mode.
+   *
+   * @public
+   * @return {boolean} True if messages are sent as text; otherwise false.
+   */
+  get isUtf8Only () {
+    return !this._isBinary
+  }
+
+  /**
+   * Gets whether the WebSocket is secured with TLS.
+   *
+   * @public
+   * @return {boolean} True if the WebSocket is secured; otherwise false.
+   */
+  get isSecure () {
+    return this._webSocket != null && this._isSecure
+  }
+
+  /**
+   * Opens the WebSocket.
+   *
+   * @public
+   * @fires IrcTransport#connect
+   */
+  connect () {
+    let subprotocols = this._mode === 'binary'
+      ? [binarySubprotocol, textSubprotocol]
+      : [textSubprotocol, binarySubprotocol]
+
+    let webSocket = new WebSocket(this._url, subprotocols, this._webSocketOptions)
+    webSocket.binaryType = 'nodebuffer'
+    this._webSocket = webSocket
+    this._isSecure = false
+
+    let socket = null
+    webSocket.on('upgrade', response => {
+      socket = response.socket
+    })
+
+    webSocket.on('open', () => {
+      this._isBinary = webSocket.protocol === binarySubprotocol
+
+      if (socket && socket.encrypted) {
+        this._isSecure = true
+        this.emit('secureConnect', {
+          'protocol': socket.getProtocol(),
+          'cipher': socket.getCipher(),
+          'certificate': socket.getPeerCertificate(),
+          'authorized': socket.authorized,
+          'authorizationError': socket.authorizationError
+        })
+      }
+
+      this.emit('connect')
+    })
+
+    webSocket.on('message', data => {
+      if (Buffer.isBuffer(data)) {
+        this.emit('data', Buffer.concat([data, Buffer.from('\r\n')]))
+      } else {
+        this.emit('data', data + '\r\n')
+      }
+    })
+
+    webSocket.on('error', error => this.emit('error', error))
+    webSocket.on('close', code => this.emit('close', code !== 1000))
+  }
+
+  /**
+   * Sends each of the IRC messages in the data as a WebSocket message.
+   *
+   * @public
+   * @param {string|Buffer} data The data to write, consisting of one or more CR-LF terminated messages.
+   */
+  write (data) {
+    if (!this._webSocket || this._webSocket.readyState !== WebSocket.OPEN) {
+      throw new InvalidOperationError('The transport is not connected.')
+    }
+
+    let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')
+    let start = 0
+    while (start < buffer.length) {
+      let end = buffer.indexOf(0x0A, start)
+      if (end === -1) {
+        end = buffer.length
+      }
+
+      let line = buffer.slice(start, end > start && buffer[end - 1] === 0x0D ? end - 1 : end)
+      if (line.length > 0) {
+        this._webSocket.send(this._isBinary ? line : line.toString('utf8'))
+      }
+
+      start = end + 1
+    }
+  }
+
+  /**
+   * Closes the WebSocket gracefully.
+   *
+   * @public
+   */
+  end () {
+    if (this._webSocket) {
+      this._webSocket.close(1000)
+    }
+  }
+
+  /**
+   * Closes the WebSocket immediately.
+   *
+   * @public
+   */
+  destroy () {
+    if (this._webSocket) {
+      this._webSocket.terminate()
+    }
+  }
+
+  /**
+   * STARTTLS is not supported over WebSockets; use a wss:// URL instead.
+   *
+   * @public
+   * @throws {InvalidOperationError} always.
+   */
+  startTls (tlsOptions) {
+    throw new InvalidOperationError('STARTTLS is not supported over WebSockets; use a wss:// URL instead.')
+  }
+}
+
+module.exports = IrcWebSocketTransport
@@ -2,10 +2,105 @@
 // This code is licensed under MIT license (see LICENSE.txt for details)
 'use strict'
 
-const { IrcClient, IrcFloodPreventer, CtcpClient } = require('./../index.js')
+const net = require('net')
+const assert = require('assert')
+const { Duplex } = require('stream')
+const WebSocket = require('ws')
+const FakeTimers = require('@sinonjs/fake-timers')
+const {
+  IrcClient,
+  IrcFloodPreventer,
+  IrcReconnectPolicy,
+  IrcConnectionSecurity,
+  IrcProxyType,
+  IrcStreamTransport,
+  IrcWebSocketTransport,
+  CtcpClient,
+  QueryError,
+  QueryTimeoutError
+} = require('./../index.js')
 
 console.debug = (m) => {}
 
+function createStreamPair () {
+  let streams = [
+    new Duplex({ read () {}, write (chunk, encoding, callback) { streams[1].push(chunk); callback() } }),
+    new Duplex({ read () {}, write (chunk, encoding, callback) { streams[0].push(chunk); callback() } })
+  ]
+  return streams
+}
+
+function createFakeServer (stream, onLine) {
+  let buffer = ''
+  stream.on('data', data => {
+    buffer += data.toString()
+    let lines = buffer.split('\r\n')
+    buffer = lines.pop()
+    lines.forEach(line => onLine(line, text => stream.write(text + '\r\n')))
+  })
+}
+
+/**
+ * Connects the client to a fake server, which offers the specified capabilities, acknowledges every capability
+ * request and welcomes the client once negotiation ends. Every line is passed on to onLine as well, after the
+ * replies of the server; the client requests the offered capabilities unless the registration info says otherwise.
+ */
+function connectToFakeServer (client, capabilities, onLine, registrationInfo = {}, options = {}) {
+  let [clientStream, serverStream] = createStreamPair()
+  let server = ':irc.unseenuniversity.dw'
+
+  createFakeServer(serverStream, (line, reply) => {
+    if (line === 'CAP LS :302') {
+      reply(`${server} CAP * LS :${capabilities.join(' ')}`)
+    } else if (line.startsWith('CAP REQ')) {
+      reply(`${server} CAP * ACK ${line.substr(8)}`)
+    } else if (line === 'CAP :END') {
+      reply(`${server} 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw`)
+    }
+    onLine(line, reply)
+  })
+
+  client.connect('irc.unseenuniversity.dw', null, Object.assign({
+    'nickName': 'Ridcully',
+    'userName': 'archchancellor',
+    'realName': 'Mustrum Ridcully',
+    'capabilities': capabilities
+  }, registrationInfo), Object.assign({
+    'transport': new IrcStreamTransport(clientStream)
+  }, options))
+}
+
+/**
+ * Waits for the emitter to emit the specified event with arguments that satisfy the predicate, if one is given.
+ */
+function waitForEvent (emitter, eventName, predicate = () => true) {
+  return new Promise(resolve => {
+    let listener = (...args) => {
+      if (predicate(...args)) {
+        emitter.removeListener(eventName, listener)
+        resolve(args)
+      }
+    }
+    emitter.on(eventName, listener)
+  })
+}
+
+/**
+ * Closes the connection of the client, and waits for it to be closed.
+ */
+function closeConnection (client) {
+  let closed = waitForEvent(client, 'connectionClosed')
+  client.transport.destroy()
+  return closed
+}
+
+class StartTlsStreamTransport extends IrcStreamTransport {
+  startTls (tlsOptions) {
+    this.tlsOptions = tlsOptions
+    process.nextTick(() => this.emit('secureConnect', { 'protocol': 'TLSv1.3', 'authorized': true }))
+  }
+}
+
 describe('IRC Tests', function () {
   let nickName1 = 'Rincewind'
   let nickName2 = 'Twoflower'
@@ -66,6 +161,8 @@ describe('IRC Tests', function () {
       'userName': 'rincewind.wizzard@unseenuniversity.dw',
       'realName': 'Rincewind Wizzard',
       'userModes': []
+    }, {
+      'security': IrcConnectionSecurity.none
     })
 
     client2.connect('127.0.0.1', 6667, {
@@ -74,6 +171,8 @@ describe('IRC Tests', function () {
       'userName': 'twoflower.tourist@palace.cwc',
       'realName': 'Twoflower the Tourist',
       'userModes': []
+    }, {
+      'security': IrcConnectionSecurity.none
     })
   })
 
@@ -421,3 +520,1589 @@ describe('IRC Tests', function () {
     })
   })
 })
+
+describe('IrcTransport', function () {
+  it('connect over stream', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+
+    createFakeServer(serverStream, (line, reply) => {
+      if (line.startsWith('USER')) {
+        reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+      }
+    })
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+    await registered
+
+    assert.strictEqual(client.localUser.hostName, 'unseenuniversity.dw')
+
+    await closeConnection(client)
+  })
+
+  it('starttls', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let server = ':irc.unseenuniversity.dw'
+    let lines = []
+
+    let capabilitiesListed = new Promise(resolve => {
+      createFakeServer(serverStream, (line, reply) => {
+        lines.push(line)
+        if (line === 'STARTTLS') {
+          reply(`${server} 670 * :STARTTLS successful, proceed with TLS handshake`)
+        } else if (line === 'CAP LS :302') {
+          resolve()
+        }
+      })
+    })
+
+    let client = new IrcClient()
+    let transport = new StartTlsStreamTransport(clientStream)
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': transport,
+      'security': IrcConnectionSecurity.startTls
+    })
+    await capabilitiesListed
+
+    assert.deepStrictEqual(lines.slice(0, 2), ['STARTTLS', 'CAP LS :302'])
+    assert.strictEqual(transport.tlsOptions.servername, 'irc.unseenuniversity.dw')
+
+    await closeConnection(client)
+  })
+
+  it('starttls secureConnect', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+
+    createFakeServer(serverStream, (line, reply) => {
+      if (line === 'STARTTLS') {
+        reply(':irc.unseenuniversity.dw 670 * :STARTTLS successful, proceed with TLS handshake')
+      }
+    })
+
+    let client = new IrcClient()
+    let secureConnect = waitForEvent(client, 'secureConnect')
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new StartTlsStreamTransport(clientStream),
+      'security': IrcConnectionSecurity.startTls
+    })
+
+    let [info] = await secureConnect
+    assert.strictEqual(info.protocol, 'TLSv1.3')
+    assert.strictEqual(info.authorized, true)
+
+    await closeConnection(client)
+  })
+
+  it('starttls required', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let lines = []
+
+    createFakeServer(serverStream, (line, reply) => {
+      lines.push(line)
+      if (line === 'STARTTLS') {
+        reply(':irc.unseenuniversity.dw 691 * :STARTTLS failed (Wrong moon phase)')
+      }
+    })
+
+    let client = new IrcClient()
+    let connectionErrors = []
+    client.on('connectionError', error => connectionErrors.push(error.message))
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new StartTlsStreamTransport(clientStream),
+      'security': IrcConnectionSecurity.startTlsRequired
+    })
+    await connectionClosed
+
+    assert.deepStrictEqual(lines, ['STARTTLS'])
+    assert.deepStrictEqual(connectionErrors, ['The server does not support STARTTLS, which is required.'])
+  })
+
+  it('encoding', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let receivedLines = []
+
+    createFakeServer(serverStream, (line, reply) => {
+      if (line.startsWith('USER')) {
+        reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+        serverStream.write(Buffer.from(':Rincewind!wizzard@unseenuniversity.dw PRIVMSG Ridcully :Caf\xe9 \x80\r\n', 'latin1'))
+        serverStream.write(Buffer.from(':Rincewind!wizzard@unseenuniversity.dw PRIVMSG #ankh :\xf0\xd2\xc9\r\n', 'latin1'))
+      }
+    })
+
+    let sentToAnkh = waitForEvent(serverStream, 'data', data => data.includes(Buffer.from('PRIVMSG #ankh :\xe2\xd5\xce', 'latin1')))
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    client.fallbackEncoding = 'windows-1252'
+    client.setTargetEncoding('#ankh', 'koi8-r')
+    client.on('in', line => {
+      if (line.includes('PRIVMSG')) {
+        receivedLines.push(line)
+      }
+    })
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+    await registered
+
+    assert.deepStrictEqual(receivedLines, [
+      ':Rincewind!wizzard@unseenuniversity.dw PRIVMSG Ridcully :Café €',
+      ':Rincewind!wizzard@unseenuniversity.dw PRIVMSG #ankh :При'
+    ])
+
+    client.sendMessage(['#ankh'], 'Бун')
+    await sentToAnkh
+
+    await closeConnection(client)
+  })
+
+  it('line framing', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let events = []
+
+    createFakeServer(serverStream, (line, reply) => {
+      if (line.startsWith('USER')) {
+        serverStream.write(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw\r\n:irc.unseenuniversity.dw NOTICE Ridcully :Fi')
+        serverStream.write('rst\n:irc.unseenuniversity.dw NOTICE Ridcully :' + 'x'.repeat(600))
+        serverStream.write('x'.repeat(9000) + '\r\n:irc.unseenuniversity.dw NOTICE Ridcully :Last\r\n')
+      }
+    })
+
+    let client = new IrcClient()
+    let lastReceived = waitForEvent(client, 'in', line => line.endsWith('Last'))
+    client.on('in', line => {
+      if (line.includes('NOTICE')) {
+        events.push(line.split(':')[2])
+      }
+    })
+    client.on('lineTooLong', (direction, line, length) => events.push(`${direction} ${length}`))
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+    await lastReceived
+
+    assert.deepStrictEqual(events, ['First', 'in 9642', 'Last'])
+
+    let lineTooLong = waitForEvent(client, 'lineTooLong', direction => direction === 'out')
+    client.sendRawMessage('NOTICE Rincewind :' + 'x'.repeat(500))
+    await lineTooLong
+
+    assert.deepStrictEqual(events, ['First', 'in 9642', 'Last', 'out 518'])
+
+    await closeConnection(client)
+  })
+
+  it('outgoing tag limit', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let tagValue = 'x'.repeat(4094 - '+example='.length)
+    let lines = []
+
+    let tagMessageReceived = new Promise(resolve => {
+      createFakeServer(serverStream, (line, reply) => {
+        lines.push(line)
+        if (line.startsWith('USER')) {
+          reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+        } else if (line.includes(' TAGMSG ')) {
+          resolve()
+        }
+      })
+    })
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let tooLongLengths = []
+    client.on('lineTooLong', (direction, line, length) => tooLongLengths.push(length))
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+    await registered
+
+    client.sendRawMessage(`@+example=${tagValue}x NOTICE Rincewind :Hi`)
+    client.sendRawMessage(`@+example=${tagValue} TAGMSG :Rincewind`)
+    await tagMessageReceived
+
+    assert.deepStrictEqual(lines.slice(-1), [`@+example=${tagValue} TAGMSG :Rincewind`])
+    assert.ok(!lines.some(line => line.includes('NOTICE Rincewind')))
+    assert.deepStrictEqual(tooLongLengths, [4117])
+
+    await closeConnection(client)
+  })
+
+  it('async queries', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    connectToFakeServer(client, [], (line, reply) => {
+      if (line === 'WHOIS :Nobody') {
+        reply(`${server} 401 Ridcully Nobody :No such nick/channel`)
+        reply(`${server} 318 Ridcully Nobody :End of /WHOIS list.`)
+      } else if (line === 'WHOIS :Rincewind') {
+        reply(`${server} 311 Ridcully Rincewind wizzard unseenuniversity.dw * :Rincewind`)
+        reply(`${server} 318 Ridcully Rincewind :End of /WHOIS list.`)
+      } else if (line.startsWith('TIME')) {
+        reply(`${server} 391 Ridcully irc.unseenuniversity.dw :Grune 25, Year of the Prawn`)
+      }
+    })
+    await registered
+
+    let [error, user, time, timeoutError] = await Promise.all([
+      client.queryWhoIsAsync('Nobody').catch(error => error),
+      client.queryWhoIsAsync('Rincewind'),
+      client.getServerTimeAsync(),
+      client.getServerLinksAsync(null, null, 100).catch(error => error)
+    ])
+    assert.ok(error instanceof QueryError)
+    assert.strictEqual(error.errorName, 'ERR_NOSUCHNICK')
+    assert.strictEqual(user.userName, 'wizzard')
+    assert.strictEqual(time.dateTime, 'Grune 25, Year of the Prawn')
+    assert.ok(timeoutError instanceof QueryTimeoutError)
+
+    await closeConnection(client)
+  })
+
+  it('quitAsync', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let receivedLines = []
+
+    createFakeServer(serverStream, (line, reply) => {
+      receivedLines.push(line)
+      if (line.startsWith('USER')) {
+        reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+      } else if (line.startsWith('QUIT')) {
+        clientStream.destroy()
+      }
+    })
+
+    let client = new IrcClient()
+    client.floodPreventer = new IrcFloodPreventer(1, 100)
+    let registered = waitForEvent(client, 'registered')
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+    await registered
+
+    client.sendRawMessage('PRIVMSG #deploy :Deploying')
+    client.sendRawMessage('PRIVMSG #deploy :Deployed')
+    let discardedCount = await client.quitAsync('Done')
+
+    assert.strictEqual(discardedCount, 0)
+    assert.strictEqual(client.isConnected, false)
+    assert.deepStrictEqual(receivedLines.slice(-3), ['PRIVMSG #deploy :Deploying', 'PRIVMSG #deploy :Deployed', 'QUIT :Done'])
+  })
+
+  it('capability negotiation', async function () {
+    let [clientStream, serverStream] = createStreamPair()
+    let server = ':irc.unseenuniversity.dw'
+
+    createFakeServer(serverStream, (line, reply) => {
+      if (line === 'CAP LS :302') {
+        reply(`${server} CAP * LS * :multi-prefix sasl=PLAIN,EXTERNAL`)
+        reply(`${server} CAP * LS :away-notify cap-notify`)
+      } else if (line.startsWith('CAP REQ')) {
+        reply(`${server} CAP * ACK ${line.substr(8)}`)
+      } else if (line === 'CAP :END') {
+        reply(`${server} 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw`)
+        reply(`${server} CAP Ridcully DEL :away-notify`)
+        reply(`${server} CAP Ridcully NEW :echo-message`)
+      }
+    })
+
+    let client = new IrcClient()
+    let enabledNames = []
+    client.on('capabilitiesEnabled', names => enabledNames.push(names))
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully',
+      'capabilities': ['away-notify', 'multi-prefix', 'echo-message']
+    }, {
+      'transport': new IrcStreamTransport(clientStream)
+    })
+
+    await waitForEvent(client, 'capabilitiesEnabled', names => names.includes('echo-message'))
+    assert.deepStrictEqual(enabledNames, [['cap-notify', 'away-notify', 'multi-prefix'], ['echo-message']])
+    assert.deepStrictEqual(client.capabilities.enabled, ['cap-notify', 'multi-prefix', 'echo-message'])
+    assert.strictEqual(client.capabilities.getValue('sasl'), 'PLAIN,EXTERNAL')
+    assert.strictEqual(client.capabilities.isAvailable('away-notify'), false)
+
+    await closeConnection(client)
+  })
+
+  it('sasl', async function () {
+    let server = ':irc.unseenuniversity.dw'
+    let password = 'o'.repeat(290)
+    let responses = []
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    connectToFakeServer(client, ['sasl=PLAIN,EXTERNAL'], (line, reply) => {
+      if (line === 'AUTHENTICATE :PLAIN') {
+        reply('AUTHENTICATE +')
+      } else if (line === 'AUTHENTICATE :+') {
+        reply(`${server} 900 Ridcully Ridcully!archchancellor@unseenuniversity.dw Ridcully :You are now logged in`)
+        reply(`${server} 903 Ridcully :SASL authentication successful`)
+      } else if (line.startsWith('AUTHENTICATE :')) {
+        responses.push(line.substr(14))
+      }
+    }, {
+      'capabilities': [],
+      'sasl': { 'accountName': 'Ridcully', 'password': password }
+    })
+    await registered
+
+    assert.deepStrictEqual(responses.map(response => response.length), [400])
+    assert.strictEqual(Buffer.from(responses.join(''), 'base64').toString(), `\0Ridcully\0${password}`)
+    assert.strictEqual(client.localUser.accountName, 'Ridcully')
+
+    await closeConnection(client)
+  })
+
+  it('sasl required', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let isRegistered = false
+    client.once('registered', () => { isRegistered = true })
+    let saslFailed = waitForEvent(client, 'saslFailed')
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    connectToFakeServer(client, ['sasl'], (line, reply) => {
+      if (line === 'AUTHENTICATE :EXTERNAL') {
+        reply(`${server} 904 * :SASL authentication failed`)
+      } else if (line.startsWith('QUIT')) {
+        client.transport.destroy()
+      }
+    }, {
+      'sasl': { 'isRequired': true }
+    })
+
+    let [errorName] = await saslFailed
+    assert.strictEqual(errorName, 'ERR_SASLFAIL')
+    await connectionClosed
+    assert.strictEqual(isRegistered, false)
+  })
+
+  it('message tags', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let message = null
+    client.once('registered', () => {
+      message = waitForEvent(client.localUser, 'message')
+    })
+
+    connectToFakeServer(client, ['message-tags'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${server} 005 Ridcully CLIENTTAGDENY=*,-draft/react :are supported by this server`)
+        reply(`@msgid=abc;+example=semi\\:colon\\sspace\\\\;flag :Librarian!ook@unseenuniversity.dw PRIVMSG Ridcully :Ook`)
+      }
+    })
+    await waitForEvent(client, 'registered')
+
+    let [, , messageText, tags] = await message
+    assert.strictEqual(messageText, 'Ook')
+    assert.deepStrictEqual(tags, { 'msgid': 'abc', '+example': 'semi;colon space\\', 'flag': '' })
+
+    let sent = waitForEvent(client, 'out', line => line.includes('PRIVMSG'))
+    client.sendMessage(['#unseen'], 'Ook?', { '+draft/react': '; ', '+draft/typing': 'active', 'label': 'x' })
+    assert.deepStrictEqual(await sent, ['@+draft/react=\\:\\s PRIVMSG #unseen :Ook?\r\n'])
+
+    await closeConnection(client)
+  })
+
+  it('server time', async function () {
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let times = []
+    client.once('registered', () => {
+      client.localUser.on('message', (source, targets, messageText, tags, time) => times.push(time))
+    })
+
+    connectToFakeServer(client, ['server-time'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`@time=2011-10-19T16:40:51.620Z :Librarian!ook@unseenuniversity.dw PRIVMSG Ridcully :Ook`)
+        reply(`:Librarian!ook@unseenuniversity.dw PRIVMSG Ridcully :Eek`)
+      }
+    })
+    await registered
+
+    assert.strictEqual(times.length, 2)
+    assert.strictEqual(times[0].toISOString(), '2011-10-19T16:40:51.620Z')
+    assert.ok(Math.abs(times[1].getTime() - Date.now()) < 1000)
+
+    await closeConnection(client)
+  })
+
+  it('account tracking', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let accountNames = []
+    client.once('registered', () => {
+      client.getUserFromNickName('Librarian').on('account', accountName => accountNames.push(`Librarian ${accountName}`))
+      client.getUserFromNickName('Rincewind').on('account', accountName => accountNames.push(`Rincewind ${accountName}`))
+    })
+
+    connectToFakeServer(client, ['account-notify', 'extended-join', 'account-tag'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Librarian!ook@unseenuniversity.dw JOIN #unseen Librarian :The Librarian`)
+        reply(`:Librarian!ook@unseenuniversity.dw ACCOUNT *`)
+        reply(`@account=Ook :Librarian!ook@unseenuniversity.dw PRIVMSG #unseen :Ook`)
+        reply(`${server} 330 Ridcully Rincewind Wizzard :is logged in as`)
+      }
+    })
+    await registered
+
+    assert.deepStrictEqual(accountNames, ['Librarian Librarian', 'Librarian null', 'Librarian Ook', 'Rincewind Wizzard'])
+    assert.strictEqual(client.getUserFromNickName('Librarian').realName, 'The Librarian')
+
+    await closeConnection(client)
+  })
+
+  it('away notify', async function () {
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let changes = []
+    client.once('registered', () => {
+      client.getUserFromNickName('Librarian').on('away', (isAway, awayMessage) => changes.push(`${isAway} ${awayMessage}`))
+    })
+
+    connectToFakeServer(client, ['away-notify'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Librarian!ook@unseenuniversity.dw AWAY :Shelving books`)
+        reply(`:Librarian!ook@unseenuniversity.dw AWAY`)
+      }
+    })
+    await registered
+
+    assert.deepStrictEqual(changes, ['true Shelving books', 'false null'])
+
+    await closeConnection(client)
+  })
+
+  it('away polling', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let away = null
+    client.once('registered', () => {
+      away = waitForEvent(client.getUserFromNickName('Librarian'), 'away')
+    })
+
+    connectToFakeServer(client, ['multi-prefix'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+      } else if (line === 'WHO #unseen') {
+        reply(`${server} 352 Ridcully #unseen ook unseenuniversity.dw irc.unseenuniversity.dw Librarian G :0 The Librarian`)
+        reply(`${server} 315 Ridcully #unseen :End of WHO list`)
+      }
+    }, {}, { 'awayPollInterval': 20 })
+    await registered
+
+    let [isAway] = await away
+    assert.strictEqual(isAway, true)
+    assert.strictEqual(client.getUserFromNickName('Librarian').isAway, true)
+
+    await closeConnection(client)
+  })
+
+  it('chghost and setname', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let events = []
+    let channel = null
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', joinedChannel => {
+        channel = joinedChannel
+        channel.once('userJoinedChannel', channelUser => {
+          channelUser.user.on('hostName', () => events.push(`hostName ${channelUser.user.hostName}`))
+        })
+        channel.on('userHostChanged', channelUser => {
+          events.push(`userHostChanged ${channelUser.user.userName}@${channelUser.user.hostName}`)
+        })
+        channel.on('userRealNameChanged', channelUser => events.push(`userRealNameChanged ${channelUser.user.realName}`))
+      })
+    })
+
+    connectToFakeServer(client, ['chghost', 'setname'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        reply(`${server} 353 Ridcully = #unseen :@Ridcully`)
+        reply(`:Librarian!ook@unseenuniversity.dw JOIN #unseen`)
+        reply(`:Librarian!ook@unseenuniversity.dw PRIVMSG #unseen :Ook`)
+        reply(`:Librarian!ook@unseenuniversity.dw CHGHOST ape library.unseenuniversity.dw`)
+      } else if (line === 'SETNAME :Mustrum Ridcully, Archchancellor') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw SETNAME :Mustrum Ridcully, Archchancellor`)
+      }
+    })
+    await registered
+
+    let realNameChanged = waitForEvent(channel, 'userRealNameChanged')
+    client.localUser.setRealName('Mustrum Ridcully, Archchancellor')
+    await realNameChanged
+
+    assert.deepStrictEqual(events, [
+      'hostName library.unseenuniversity.dw',
+      'userHostChanged ape@library.unseenuniversity.dw',
+      'userRealNameChanged Mustrum Ridcully, Archchancellor'
+    ])
+
+    await closeConnection(client)
+  })
+
+  it('multi-prefix and userhost-in-names', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let userList = null
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', channel => {
+        userList = waitForEvent(channel, 'userList').then(() => channel)
+      })
+    })
+
+    connectToFakeServer(client, ['multi-prefix', 'userhost-in-names'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${server} 005 Ridcully PREFIX=(qov)~@+ :are supported by this server`)
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        reply(`${server} 353 Ridcully = #unseen :~@Ridcully!archchancellor@unseenuniversity.dw ` +
+          `@+Librarian!ook@library.unseenuniversity.dw Rincewind!wizzard@unseenuniversity.dw`)
+        reply(`${server} 366 Ridcully #unseen :End of /NAMES list.`)
+      }
+    })
+    await registered
+
+    let channel = await userList
+    let librarian = client.getUserFromNickName('Librarian')
+    assert.deepStrictEqual(channel.users.map(cu => `${cu.user.nickName}:${cu.modes.sort().join('')}`),
+      ['Ridcully:oq', 'Librarian:ov', 'Rincewind:'])
+    assert.strictEqual(librarian.userName, 'ook')
+    assert.strictEqual(librarian.hostName, 'library.unseenuniversity.dw')
+
+    await closeConnection(client)
+  })
+
+  it('echo-message and labeled-response', async function () {
+    let server = ':irc.unseenuniversity.dw'
+    let ridcully = ':Ridcully!archchancellor@unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let joined = null
+    client.once('registered', () => {
+      joined = waitForEvent(client.localUser, 'joinedChannel')
+    })
+
+    connectToFakeServer(client, ['batch', 'echo-message', 'labeled-response', 'message-tags'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${ridcully} JOIN #unseen`)
+      } else if (line === 'PRIVMSG #unseen :Ook?') {
+        reply(`@msgid=m1;time=2011-10-19T16:40:51.620Z ${ridcully} PRIVMSG #unseen :Ook?`)
+      } else if (line === '@label=0 WHOIS :Librarian') {
+        reply(`@label=0 ${server} BATCH +b labeled-response`)
+        reply(`@batch=b ${server} 311 Ridcully Librarian ook library.unseenuniversity.dw * :The Librarian`)
+        reply(`@batch=b ${server} 318 Ridcully Librarian :End of /WHOIS list.`)
+        reply(`${server} BATCH -b`)
+      } else if (line === '@label=1 PRIVMSG #library :Ook?') {
+        reply(`@label=1 ${server} 404 Ridcully #library :Cannot send to channel`)
+      } else if (line === '@label=2 AWAY') {
+        reply(`@label=2 ${server} ACK`)
+      }
+    })
+    await registered
+
+    let [channel] = await joined
+    let echoed = waitForEvent(channel, 'message')
+    channel.sendMessage('Ook?')
+    let [source, messageText, tags] = await echoed
+    assert.strictEqual(source, client.localUser)
+    assert.strictEqual(messageText, 'Ook?')
+    assert.strictEqual(tags.msgid, 'm1')
+
+    let messages = await client.sendCommandAsync('WHOIS', ['Librarian'])
+    assert.deepStrictEqual(messages.map(m => m.command), ['311', '318'])
+
+    let error = await client.sendCommandAsync('PRIVMSG', ['#library', 'Ook?']).catch(error => error)
+    assert.strictEqual(error.code, 404)
+
+    assert.deepStrictEqual(await client.sendCommandAsync('AWAY'), [])
+
+    await closeConnection(client)
+  })
+
+  it('batches', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let events = []
+    client.on('batch', (type, parameters, messages) => events.push(`batch ${type} ${messages.length}`))
+    client.on('netsplit', (servers, users) => events.push(`netsplit ${servers.join(' ')} ${users.join(' ')}`))
+    client.on('netjoin', (servers, users) => events.push(`netjoin ${servers.join(' ')} ${users.join(' ')}`))
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', channel => {
+        channel.on('userQuit', channelUser => events.push(`userQuit ${channelUser.user.nickName}`))
+        channel.on('userJoinedChannel', channelUser => events.push(`userJoinedChannel ${channelUser.user.nickName}`))
+        channel.on('netsplit', channelUsers => events.push(`split ${channelUsers.length} ${channel.users.length}`))
+        channel.on('netjoin', channelUsers => events.push(`join ${channelUsers.length} ${channel.users.length}`))
+      })
+    })
+
+    connectToFakeServer(client, ['batch'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        reply(`${server} 353 Ridcully = #unseen :@Ridcully Librarian Rincewind`)
+        reply(`${server} 366 Ridcully #unseen :End of /NAMES list.`)
+        reply(`${server} BATCH +ns netsplit irc.unseenuniversity.dw irc.library.dw`)
+        reply(`@batch=ns :Librarian!ook@library.dw QUIT :irc.unseenuniversity.dw irc.library.dw`)
+        reply(`@batch=ns :Rincewind!wizzard@library.dw QUIT :irc.unseenuniversity.dw irc.library.dw`)
+        reply(`${server} BATCH -ns`)
+        reply(`${server} BATCH +nj netjoin irc.unseenuniversity.dw irc.library.dw`)
+        reply(`@batch=nj :Librarian!ook@library.dw JOIN #unseen`)
+        reply(`${server} BATCH -nj`)
+      }
+    })
+
+    await waitForEvent(client, 'batch', type => type === 'netjoin')
+    assert.deepStrictEqual(events, [
+      'userQuit Librarian',
+      'userQuit Rincewind',
+      'split 2 1',
+      'netsplit irc.unseenuniversity.dw irc.library.dw Librarian Rincewind',
+      'batch netsplit 2',
+      'userJoinedChannel Librarian',
+      'join 1 2',
+      'netjoin irc.unseenuniversity.dw irc.library.dw Librarian',
+      'batch netjoin 1'
+    ])
+
+    await closeConnection(client)
+  })
+
+  it('chat history', async function () {
+    let server = ':irc.unseenuniversity.dw'
+    let librarian = ':Librarian!ook@unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let joined = null
+    client.once('registered', () => {
+      joined = waitForEvent(client.localUser, 'joinedChannel')
+    })
+
+    connectToFakeServer(client, ['batch', 'draft/chathistory', 'message-tags', 'server-time'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${server} 005 Ridcully CHATHISTORY=50 :are supported by this server`)
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+      } else if (line === 'CHATHISTORY BEFORE #unseen timestamp=2011-10-19T16:40:51.620Z :50') {
+        reply(`${server} BATCH +h chathistory #unseen`)
+        reply(`@batch=h;msgid=m1;time=2011-10-19T16:40:49.000Z ${librarian} PRIVMSG #unseen :Ook`)
+        reply(`@batch=h;msgid=m2;time=2011-10-19T16:40:50.000Z ${librarian} PRIVMSG #unseen :Eek`)
+        reply(`${server} BATCH -h`)
+      } else if (line === 'CHATHISTORY LATEST Librarian * :50') {
+        reply(`${server} FAIL CHATHISTORY INVALID_TARGET LATEST Librarian :Messages could not be retrieved`)
+      } else if (line.startsWith('CHATHISTORY TARGETS')) {
+        reply(`${server} BATCH +t draft/chathistory-targets`)
+        reply(`@batch=t ${server} CHATHISTORY TARGETS #unseen timestamp=2011-10-19T16:40:50.000Z`)
+        reply(`${server} BATCH -t`)
+      }
+    })
+    await registered
+
+    let [channel] = await joined
+    let liveMessagesCount = 0
+    channel.on('message', () => liveMessagesCount++)
+
+    let messages = await channel.getHistoryAsync('BEFORE', [new Date(Date.UTC(2011, 9, 19, 16, 40, 51, 620))], 100)
+    assert.deepStrictEqual(messages.map(m => `${m.msgid} ${m.source} ${m.text} ${m.time.toISOString()}`), [
+      'm1 Librarian Ook 2011-10-19T16:40:49.000Z',
+      'm2 Librarian Eek 2011-10-19T16:40:50.000Z'
+    ])
+    assert.strictEqual(liveMessagesCount, 0)
+
+    let error = await client.getUserFromNickName('Librarian').getHistoryAsync().catch(error => error)
+    assert.strictEqual(error.errorName, 'INVALID_TARGET')
+
+    let targets = await client.getChatHistoryTargetsAsync(new Date(0), new Date(), 10)
+    assert.deepStrictEqual(targets.map(t => `${t.target} ${t.time.toISOString()}`), [
+      '#unseen 2011-10-19T16:40:50.000Z'
+    ])
+
+    await closeConnection(client)
+  })
+
+  it('chat history requires batch', async function () {
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let requests = []
+    connectToFakeServer(client, ['draft/chathistory', 'server-time'], line => {
+      if (line.startsWith('CAP REQ')) {
+        requests.push(line)
+      }
+    }, {
+      'capabilities': ['draft/chathistory']
+    })
+    await registered
+
+    assert.deepStrictEqual(requests, ['CAP REQ :draft/chathistory server-time'])
+    assert.strictEqual(client.isChatHistorySupported, false)
+
+    let error = await client.getChatHistoryAsync('#unseen').catch(error => error)
+    assert.strictEqual(error.constructor.name, 'InvalidOperationError')
+
+    await closeConnection(client)
+  })
+
+  it('chat history keeps the state of users', async function () {
+    let server = ':irc.unseenuniversity.dw'
+    let librarian = ':Librarian!ook@unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let events = []
+    let message = null
+    client.once('registered', () => {
+      message = waitForEvent(client.localUser, 'message')
+      client.localUser.once('message', source => {
+        source.on('account', accountName => events.push(`account ${accountName}`))
+        source.on('hostName', () => events.push(`hostName ${source.hostName}`))
+      })
+    })
+    let batch = waitForEvent(client, 'batch')
+
+    connectToFakeServer(client, ['account-tag', 'batch', 'draft/chathistory', 'message-tags'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`@account=librarian ${librarian} PRIVMSG Ridcully :Ook`)
+        reply(`${server} BATCH +h chathistory Librarian`)
+        reply(`@batch=h;account=orangutan :Librarian!ape@library.unseenuniversity.dw PRIVMSG Ridcully :Eek`)
+        reply(`@batch=h ${librarian} PRIVMSG Ridcully :Ook?`)
+        reply(`@batch=h :Rincewind!wizzard@unseenuniversity.dw PRIVMSG Ridcully :Run!`)
+        reply(`${server} BATCH -h`)
+      }
+    })
+
+    let [type, , messages] = await batch
+    let [source] = await message
+    assert.strictEqual(type, 'chathistory')
+    assert.deepStrictEqual(messages.map(m => `${m.source.nickName} ${m.source.hostName}`), [
+      'Librarian library.unseenuniversity.dw',
+      'Librarian unseenuniversity.dw',
+      'Rincewind unseenuniversity.dw'
+    ])
+    assert.deepStrictEqual(client.users.map(user => user.nickName), ['Ridcully', 'Librarian'])
+    assert.strictEqual(source.accountName, 'librarian')
+    assert.strictEqual(source.hostName, 'unseenuniversity.dw')
+    assert.deepStrictEqual(events, [])
+
+    await closeConnection(client)
+  })
+
+  it('replies and reactions', async function () {
+    let librarian = ':Librarian!ook@unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let events = []
+    let reaction = null
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', channel => {
+        channel.once('previewMessage', e => channel.reply(e.msgid, 'Banana?'))
+        channel.on('reply', (source, messageId, messageText, tags) => {
+          events.push(`reply ${source.nickName} ${messageId} ${messageText}`)
+          channel.react(tags.msgid, '\\o/')
+        })
+        reaction = waitForEvent(channel, 'reaction')
+      })
+    })
+
+    connectToFakeServer(client, ['message-tags'], (line, reply) => {
+      events.push(line)
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        reply(`@msgid=m1 ${librarian} PRIVMSG #unseen :Ook`)
+      } else if (line === '@+draft/reply=m1 PRIVMSG #unseen :Banana?') {
+        reply(`@msgid=m2;+draft/reply=m1 ${librarian} PRIVMSG #unseen :Ook!`)
+      } else if (line === '@+draft/react=\\\\o/;+draft/reply=m2 TAGMSG :#unseen') {
+        reply(`@msgid=m3;+draft/react=🍌;+draft/reply=m2 ${librarian} TAGMSG #unseen`)
+      }
+    })
+
+    await registered
+    let [source, messageId, emoji] = await reaction
+    assert.deepStrictEqual([source.nickName, messageId, emoji], ['Librarian', 'm2', '🍌'])
+    assert.deepStrictEqual(events.slice(-3), [
+      '@+draft/reply=m1 PRIVMSG #unseen :Banana?',
+      'reply Librarian m1 Ook!',
+      '@+draft/react=\\\\o/;+draft/reply=m2 TAGMSG :#unseen'
+    ])
+
+    await closeConnection(client)
+  })
+
+  it('replies and reactions require message tags', async function () {
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let joined = null
+    client.once('registered', () => {
+      joined = waitForEvent(client.localUser, 'joinedChannel')
+    })
+
+    connectToFakeServer(client, [], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+      }
+    })
+
+    await registered
+    let [channel] = await joined
+    let isInvalidOperation = error => error.constructor.name === 'InvalidOperationError'
+    assert.throws(() => channel.reply('m1', 'Banana?'), isInvalidOperation)
+    assert.throws(() => channel.react('m1', '🍌'), isInvalidOperation)
+
+    await closeConnection(client)
+  })
+
+  it('typing notifications', async function () {
+    let librarian = ':Librarian!ook@unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let events = []
+    let typingLines = []
+    let joined = null
+    client.on('out', line => {
+      if (line.startsWith('@+typing=')) {
+        typingLines.push(line)
+      }
+    })
+    client.once('registered', () => {
+      joined = waitForEvent(client.localUser, 'joinedChannel')
+      client.localUser.once('joinedChannel', channel => {
+        channel.on('typing', (source, state) => events.push(`${source.nickName} ${state}`))
+      })
+    })
+
+    connectToFakeServer(client, ['message-tags'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        reply(`@+typing=active ${librarian} TAGMSG #unseen`)
+        reply(`@+typing=active ${librarian} TAGMSG #unseen`)
+        reply(`${librarian} PRIVMSG #unseen :Ook`)
+      }
+    })
+    await registered
+
+    let [channel] = await joined
+    assert.deepStrictEqual(events, ['Librarian active', 'Librarian done'])
+
+    let typingDone = waitForEvent(client, 'out', line => line.startsWith('@+typing=done'))
+    channel.setTyping('active')
+    channel.setTyping('active')
+    channel.setTyping('done')
+    channel.setTyping('done')
+    await typingDone
+    assert.deepStrictEqual(typingLines, ['@+typing=active TAGMSG :#unseen\r\n', '@+typing=done TAGMSG :#unseen\r\n'])
+
+    await closeConnection(client)
+  })
+
+  it('monitor', async function () {
+    let server = ':irc.unseenuniversity.dw'
+
+    let client = new IrcClient()
+    let events = []
+    client.monitor.add(['Librarian', 'Rincewind', 'librarian'])
+    client.monitor.on('online', nickName => events.push(`+${nickName}`))
+    client.monitor.on('offline', nickName => events.push(`-${nickName}`))
+    let rincewindOffline = waitForEvent(client.monitor, 'offline', nickName => nickName === 'Rincewind')
+
+    connectToFakeServer(client, [], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${server} 005 Ridcully MONITOR=2 :are supported by this server`)
+        reply(`${server} 422 Ridcully :MOTD File is missing`)
+      } else if (line === 'MONITOR + :Librarian,Rincewind') {
+        reply(`${server} 730 Ridcully :Librarian!ook@unseenuniversity.dw`)
+        reply(`${server} 731 Ridcully :Rincewind`)
+      } else if (line === 'MONITOR - :Rincewind') {
+        reply(`${server} 731 Ridcully :Librarian`)
+      }
+    })
+    await rincewindOffline
+
+    // The server allows monitoring two nick names at most.
+    assert.throws(() => client.monitor.add(['Twoflower']), error => error.constructor.name === 'InvalidOperationError')
+
+    let librarianOffline = waitForEvent(client.monitor, 'offline', nickName => nickName === 'Librarian')
+    client.monitor.remove(['rincewind'])
+    await librarianOffline
+
+    assert.deepStrictEqual(events, ['+Librarian', '-Rincewind', '-Librarian'])
+    assert.deepStrictEqual(client.monitor.list, ['Librarian'])
+    assert.strictEqual(client.monitor.isOnline('LIBRARIAN'), false)
+
+    await closeConnection(client)
+  })
+
+  it('monitor with ISON fallback', async function () {
+    let server = ':irc.unseenuniversity.dw'
+    let isOnCount = 0
+
+    let client = new IrcClient()
+    let events = []
+    client.monitor.add(['Librarian', 'Rincewind'])
+    client.monitor.on('online', nickName => events.push(`+${nickName}`))
+    client.monitor.on('offline', nickName => events.push(`-${nickName}`))
+    let librarianOffline = waitForEvent(client.monitor, 'offline', nickName => nickName === 'Librarian')
+
+    connectToFakeServer(client, [], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`${server} 376 Ridcully :End of /MOTD command.`)
+      } else if (line === 'ISON Librarian :Rincewind') {
+        reply(isOnCount++ === 0 ? `${server} 303 Ridcully :Librarian` : `${server} 303 Ridcully :Rincewind`)
+      }
+    }, {}, { 'monitorPollInterval': 100 })
+    await librarianOffline
+
+    assert.deepStrictEqual(events, ['+Librarian', '-Rincewind', '+Rincewind', '-Librarian'])
+    assert.strictEqual(isOnCount, 2)
+
+    await closeConnection(client)
+  })
+
+  describe('IrcWebSocketTransport', function () {
+    let server = null
+    let frames = []
+
+    before(function (done) {
+      server = new WebSocket.Server({ 'port': 0 }, done)
+      server.on('connection', (webSocket) => {
+        frames = []
+        webSocket.on('message', (line) => {
+          frames.push(line)
+          if (!Buffer.isBuffer(line) && line.startsWith('USER')) {
+            webSocket.send(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+          } else if (Buffer.isBuffer(line) && line.toString().startsWith('USER')) {
+            webSocket.send(Buffer.from(':irc.unseenuniversity.dw 001 Ridcully :Welcome'))
+          }
+        })
+      })
+    })
+
+    after(function (done) {
+      server.close(done)
+    })
+
+    async function connect (mode) {
+      let transport = new IrcWebSocketTransport(`ws://127.0.0.1:${server.address().port}`, { 'mode': mode })
+      let client = new IrcClient()
+      let registered = waitForEvent(client, 'registered')
+      client.encoding = 'latin1'
+      client.connect('irc.unseenuniversity.dw', null, {
+        'nickName': 'Ridcully',
+        'userName': 'archchancellor',
+        'realName': 'Mustrum Ridcully'
+      }, {
+        'transport': transport
+      })
+      await registered
+
+      let connectionClosed = waitForEvent(client, 'connectionClosed')
+      client.sendMessage(['#unseen'], 'Ørn')
+      client.quitAsync(null, 5000, 100)
+      await connectionClosed
+      return transport
+    }
+
+    it('text mode', async function () {
+      let transport = await connect('text')
+      assert.strictEqual(transport.isBinary, false)
+      assert.ok(frames.every(frame => typeof frame === 'string' && !/[\r\n]/.test(frame)))
+      assert.deepStrictEqual(frames.slice(-2), ['PRIVMSG #unseen :Ørn', 'QUIT'])
+    })
+
+    it('binary mode', async function () {
+      let transport = await connect('binary')
+      assert.strictEqual(transport.isBinary, true)
+      assert.ok(frames.every(frame => Buffer.isBuffer(frame)))
+      assert.deepStrictEqual(frames.slice(-2).map(frame => frame.toString('latin1')), ['PRIVMSG #unseen :Ørn', 'QUIT'])
+    })
+  })
+})
+
+describe('IrcClient failover', function () {
+  let servers = []
+
+  function listen (onLine) {
+    let server = net.createServer(socket => createFakeServer(socket, onLine))
+    servers.push(server)
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+  }
+
+  after(function () {
+    servers.forEach(server => server.close())
+  })
+
+  it('moves on to the next server and follows redirects', async function () {
+    let finalServer = await listen((line, reply) => {
+      if (line.startsWith('USER')) {
+        reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+      }
+    })
+    let finalPort = finalServer.address().port
+    let redirectServer = await listen((line, reply) => {
+      if (line.startsWith('USER')) {
+        reply(`:irc.unseenuniversity.dw 010 * 127.0.0.1 ${finalPort} :Please use this server`)
+      }
+    })
+    let redirectPort = redirectServer.address().port
+    let closedServer = await listen(() => {})
+    let closedPort = closedServer.address().port
+    closedServer.close()
+
+    let serverChanges = []
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    client.on('serverChanged', (hostName, port, reason) => serverChanges.push(`${port} ${reason}`))
+    client.connect([
+      { 'hostName': '127.0.0.1', 'port': closedPort },
+      { 'hostName': '127.0.0.1', 'port': redirectPort }
+    ], null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'security': IrcConnectionSecurity.none,
+      'followRedirects': true
+    })
+    await registered
+
+    assert.strictEqual(client.port, finalPort)
+    assert.deepStrictEqual(serverChanges, [`${redirectPort} connectionFailed`, `${finalPort} redirect`])
+
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    client.disconnect()
+    await connectionClosed
+  })
+})
+
+describe('IrcClient reconnect', function () {
+  function createTransport (onLine) {
+    return new IrcStreamTransport(() => {
+      let [clientStream, serverStream] = createStreamPair()
+      createFakeServer(serverStream, (line, reply) => onLine(line, reply, clientStream))
+      return clientStream
+    })
+  }
+
+  it('backs off until the max attempts', async function () {
+    let connectionsCount = 0
+    let transport = createTransport((line, reply, clientStream) => {
+      if (line === 'CAP LS :302') {
+        connectionsCount++
+        clientStream.destroy()
+      }
+    })
+
+    let delays = []
+    let client = new IrcClient()
+    let reconnectFailed = waitForEvent(client, 'reconnectFailed')
+    client.reconnectPolicy = new IrcReconnectPolicy(3, 10, 30, 2, 0)
+    client.on('reconnecting', (attempt, delay) => delays.push(`${attempt} ${delay}`))
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': transport
+    })
+
+    let [attempts] = await reconnectFailed
+    assert.strictEqual(attempts, 3)
+    assert.strictEqual(connectionsCount, 4)
+    assert.deepStrictEqual(delays, ['1 10', '2 20', '3 30'])
+  })
+
+  it('does not reconnect after quitting', async function () {
+    let connectionsCount = 0
+    let transport = createTransport((line, reply, clientStream) => {
+      if (line.startsWith('USER')) {
+        connectionsCount++
+        reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+      } else if (line.startsWith('QUIT')) {
+        clientStream.destroy()
+      }
+    })
+
+    let reconnectsCount = 0
+    let client = new IrcClient()
+    let registered = waitForEvent(client, 'registered')
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    client.reconnectPolicy = new IrcReconnectPolicy(3, 0, 0, 2, 0)
+    client.on('reconnecting', () => reconnectsCount++)
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': transport
+    })
+    await registered
+
+    client.quit('Bye')
+    await connectionClosed
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    assert.strictEqual(reconnectsCount, 0)
+    assert.strictEqual(connectionsCount, 1)
+  })
+
+  it('restores the session', async function () {
+    let connectionsCount = 0
+    let localUser = ':Ridcully!archchancellor@unseenuniversity.dw'
+    let restoredLines = []
+    let transport = null
+    let sessionRestored = new Promise(resolve => {
+      transport = createTransport((line, reply, clientStream) => {
+        if (line.startsWith('USER')) {
+          connectionsCount++
+          reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+          if (connectionsCount === 1) {
+            reply(':Ridcully MODE Ridcully :+i')
+          }
+        } else if (connectionsCount <= 1) {
+          if (line.startsWith('JOIN')) {
+            line.split(' ')[1].split(',').forEach(channelName => {
+              reply(`${localUser} JOIN ${channelName}`)
+              reply(`:irc.unseenuniversity.dw 353 Ridcully = ${channelName} :Ridcully`)
+            })
+          } else if (line.startsWith('AWAY')) {
+            reply(':irc.unseenuniversity.dw 306 Ridcully :You have been marked as being away')
+            clientStream.destroy()
+          }
+        } else if (!line.startsWith('CAP')) {
+          restoredLines.push(line)
+          if (line.startsWith('JOIN')) {
+            resolve(clientStream)
+          }
+        }
+      })
+    })
+
+    let client = new IrcClient()
+    client.reconnectPolicy = new IrcReconnectPolicy(3, 10, 10, 2, 0)
+    client.once('registered', () => {
+      client.joinChannel('#unseen')
+      client.joinChannel('#library', 'octavo')
+      client.localUser.on('joinedChannel', () => {
+        if (client.channels.length === 2) {
+          client.setAway('Reading')
+        }
+      })
+    })
+
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': transport
+    })
+
+    let clientStream = await sessionRestored
+    assert.strictEqual(connectionsCount, 2)
+    assert.deepStrictEqual(restoredLines, ['MODE Ridcully :+i', 'AWAY :Reading', 'JOIN #library,#unseen :octavo'])
+
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    client.quit()
+    clientStream.destroy()
+    await connectionClosed
+  })
+})
+
+describe('IrcClient keepalive', function () {
+  let clock = null
+
+  beforeEach(function () {
+    clock = FakeTimers.install({
+      'now': 1000000,
+      'toFake': ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date']
+    })
+  })
+
+  afterEach(function () {
+    clock.uninstall()
+  })
+
+  function createTransport (onLine) {
+    return new IrcStreamTransport(() => {
+      let [clientStream, serverStream] = createStreamPair()
+      createFakeServer(serverStream, (line, reply) => {
+        if (line.startsWith('USER')) {
+          reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+        }
+        onLine(line, reply)
+      })
+      return clientStream
+    })
+  }
+
+  function connect (client, transport) {
+    client.connect('irc.unseenuniversity.dw', null, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'transport': transport,
+      'pingInterval': 60000,
+      'pingTimeout': 120000
+    })
+  }
+
+  it('pings after the interval and measures the lag', async function () {
+    let pings = []
+    let transport = createTransport((line, reply) => {
+      if (line.startsWith('PING')) {
+        pings.push(line)
+        setTimeout(() => reply(`:irc.unseenuniversity.dw PONG irc.unseenuniversity.dw :${line.split(' ')[1]}`), 250)
+      }
+    })
+
+    let client = new IrcClient()
+    let lags = []
+    let isRegistered = false
+    client.on('lag', lag => lags.push(lag))
+    client.once('registered', () => { isRegistered = true })
+    connect(client, transport)
+
+    await clock.tickAsync(59000)
+    assert.strictEqual(isRegistered, true)
+    assert.deepStrictEqual(pings, [])
+
+    await clock.tickAsync(1100)
+    assert.deepStrictEqual(pings, ['PING jsirc-1060000-1'])
+
+    await clock.tickAsync(250)
+    assert.deepStrictEqual(lags, [250])
+    assert.strictEqual(client.lag, 250)
+
+    await clock.tickAsync(60000)
+    assert.deepStrictEqual(pings, ['PING jsirc-1060000-1', 'PING jsirc-1120000-2'])
+
+    client.quit()
+    client.transport.destroy()
+    await clock.tickAsync(10)
+  })
+
+  it('times out without a pong and reconnects', async function () {
+    let connectionsCount = 0
+    let transport = createTransport(line => {
+      if (line.startsWith('USER')) {
+        connectionsCount++
+      }
+    })
+
+    let client = new IrcClient()
+    let events = []
+    client.reconnectPolicy = new IrcReconnectPolicy(1, 1000, 1000, 2, 0)
+    client.on('disconnected', reason => events.push(reason))
+    client.on('connectionClosed', () => events.push('connectionClosed'))
+    client.on('reconnecting', (attempt, delay) => events.push(`reconnecting ${attempt} ${delay}`))
+    connect(client, transport)
+
+    await clock.tickAsync(119000)
+    assert.deepStrictEqual(events, [])
+
+    await clock.tickAsync(1100)
+    assert.deepStrictEqual(events, ['pingTimeout', 'connectionClosed', 'reconnecting 1 1000'])
+
+    await clock.tickAsync(1100)
+    assert.strictEqual(connectionsCount, 2)
+
+    client.quit()
+    client.transport.destroy()
+    await clock.tickAsync(10)
+  })
+})
+
+describe('IrcClient typing', function () {
+  let clock = null
+  let librarian = ':Librarian!ook@unseenuniversity.dw'
+
+  beforeEach(function () {
+    clock = FakeTimers.install({
+      'now': 1000000,
+      'toFake': ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date']
+    })
+  })
+
+  afterEach(function () {
+    clock.uninstall()
+  })
+
+  function connect (client, typingLines) {
+    connectToFakeServer(client, ['message-tags'], (line, reply) => {
+      if (line === 'CAP :END') {
+        reply(`:Ridcully!archchancellor@unseenuniversity.dw JOIN #unseen`)
+        typingLines.forEach(typingLine => reply(typingLine))
+      }
+    })
+  }
+
+  it('expires typing notifications', async function () {
+    let client = new IrcClient()
+    let events = []
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', channel => {
+        channel.on('typing', (source, state) => events.push(`${source.nickName} ${state}`))
+      })
+      client.localUser.on('typing', () => events.push('localUser'))
+      client.localUser.once('tagMessage', source => {
+        source.on('typing', (typingSource, state) => events.push(`private ${typingSource.nickName} ${state}`))
+      })
+    })
+    connect(client, [
+      `@+typing=active ${librarian} TAGMSG #unseen`,
+      `@+typing=active ${librarian} TAGMSG Ridcully`
+    ])
+
+    await clock.tickAsync(5000)
+    assert.deepStrictEqual(events, ['Librarian active', 'private Librarian active'])
+
+    await clock.tickAsync(1100)
+    assert.deepStrictEqual(events, [
+      'Librarian active',
+      'private Librarian active',
+      'Librarian done',
+      'private Librarian done'
+    ])
+
+    client.quit()
+    client.transport.destroy()
+    await clock.tickAsync(10)
+  })
+
+  it('forgets typing notifications when the connection is closed', async function () {
+    let client = new IrcClient()
+    let events = []
+    client.once('registered', () => {
+      client.localUser.once('joinedChannel', channel => {
+        channel.on('typing', (source, state) => events.push(`${source.nickName} ${state}`))
+      })
+    })
+    connect(client, [`@+typing=paused ${librarian} TAGMSG #unseen`])
+
+    await clock.tickAsync(1000)
+    assert.deepStrictEqual(events, ['Librarian paused'])
+
+    client.quit()
+    client.transport.destroy()
+    await clock.tickAsync(10)
+    assert.strictEqual(clock.countTimers(), 0)
+
+    await clock.tickAsync(30000)
+    assert.deepStrictEqual(events, ['Librarian paused'])
+  })
+})
+
+describe('IrcProxyClient', function () {
+  let servers = []
+  let hostName = Buffer.from('irc.unseenuniversity.dw')
+  let port = Buffer.from([0x1A, 0x0B])
+
+  function listenProxy (steps) {
+    let server = net.createServer(socket => {
+      let remainingSteps = steps.slice()
+      let onData = data => {
+        remainingSteps.shift()(data, socket)
+        if (remainingSteps.length === 0) {
+          socket.removeListener('data', onData)
+          createFakeServer(socket, (line, reply) => {
+            if (line.startsWith('USER')) {
+              reply(':irc.unseenuniversity.dw 001 Ridcully :Welcome Ridcully!archchancellor@unseenuniversity.dw')
+            }
+          })
+        }
+      }
+      socket.on('data', onData)
+      socket.on('error', () => {})
+    })
+    servers.push(server)
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)))
+  }
+
+  function connect (proxy) {
+    let client = new IrcClient()
+    client.connect('irc.unseenuniversity.dw', 6667, {
+      'nickName': 'Ridcully',
+      'userName': 'archchancellor',
+      'realName': 'Mustrum Ridcully'
+    }, {
+      'security': IrcConnectionSecurity.none,
+      'proxy': Object.assign({ 'hostName': '127.0.0.1' }, proxy)
+    })
+    return client
+  }
+
+  async function expectRegistered (client) {
+    await waitForEvent(client, 'registered')
+    let connectionClosed = waitForEvent(client, 'connectionClosed')
+    client.disconnect()
+    await connectionClosed
+  }
+
+  async function expectError (client, reason) {
+    let [error] = await waitForEvent(client, 'connectionError')
+    assert.strictEqual(error.reason, reason)
+  }
+
+  after(function () {
+    servers.forEach(server => server.close())
+  })
+
+  it('socks5', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => {
+        assert.deepStrictEqual(data, Buffer.from([0x05, 0x01, 0x00]))
+        socket.write(Buffer.from([0x05, 0x00]))
+      },
+      (data, socket) => {
+        assert.deepStrictEqual(data, Buffer.concat([Buffer.from([0x05, 0x01, 0x00, 0x03, hostName.length]), hostName, port]))
+        socket.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0x7F, 0x00, 0x00, 0x01, 0x1A, 0x0B]))
+      }
+    ])
+    await expectRegistered(connect({ 'type': IrcProxyType.socks5, 'port': proxyPort }))
+  })
+
+  it('socks5 with authentication', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => {
+        assert.deepStrictEqual(data, Buffer.from([0x05, 0x02, 0x00, 0x02]))
+        socket.write(Buffer.from([0x05, 0x02]))
+      },
+      (data, socket) => {
+        assert.deepStrictEqual(data, Buffer.concat([Buffer.from([0x01, 0x06]), Buffer.from('ponder'),
+          Buffer.from([0x04]), Buffer.from('hex!')]))
+        socket.write(Buffer.from([0x01, 0x00]))
+      },
+      (data, socket) => {
+        socket.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0x7F, 0x00, 0x00, 0x01, 0x1A, 0x0B]))
+      }
+    ])
+    await expectRegistered(connect({
+      'type': IrcProxyType.socks5,
+      'port': proxyPort,
+      'userName': 'ponder',
+      'password': 'hex!'
+    }))
+  })
+
+  it('socks5 authentication failure', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => socket.write(Buffer.from([0x05, 0x02])),
+      (data, socket) => socket.write(Buffer.from([0x01, 0x01]))
+    ])
+    await expectError(connect({
+      'type': IrcProxyType.socks5,
+      'port': proxyPort,
+      'userName': 'ponder',
+      'password': 'wrong'
+    }), 'proxyAuthenticationFailed')
+  })
+
+  it('socks4a rejection', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => {
+        assert.deepStrictEqual(data, Buffer.concat([Buffer.from([0x04, 0x01]), port,
+          Buffer.from([0x00, 0x00, 0x00, 0x01, 0x00]), hostName, Buffer.from([0x00])]))
+        socket.write(Buffer.from([0x00, 0x5B, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]))
+      }
+    ])
+    await expectError(connect({ 'type': IrcProxyType.socks4a, 'port': proxyPort }), 'proxyConnectionRefused')
+  })
+
+  it('http authentication required', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => {
+        assert.ok(data.toString().startsWith('CONNECT irc.unseenuniversity.dw:6667 HTTP/1.1\r\n'))
+        socket.write('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic\r\n\r\n')
+      }
+    ])
+    await expectError(connect({ 'type': IrcProxyType.http, 'port': proxyPort }), 'proxyAuthenticationRequired')
+  })
+
+  it('http forbidden', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => socket.write('HTTP/1.1 403 Forbidden\r\n\r\n')
+    ])
+    await expectError(connect({ 'type': IrcProxyType.http, 'port': proxyPort }), 'proxyConnectionRefused')
+  })
+
+  it('http with split headers', async function () {
+    let proxyPort = await listenProxy([
+      (data, socket) => {
+        assert.ok(data.toString().includes('Proxy-Authorization: Basic cG9uZGVyOmhleCE=\r\n'))
+        socket.write('HTTP/1.1 200 Connection established\r\n')
+        setTimeout(() => socket.write('Proxy-Agent: Hex\r'), 10)
+        setTimeout(() => socket.write('\n\r\n'), 20)
+      }
+    ])
+    await expectRegistered(connect({
+      'type': IrcProxyType.http,
+      'port': proxyPort,
+      'userName': 'ponder',
+      'password': 'hex!'
+    }))
+  })
+
+  it('handshake timeout', async function () {
+    let proxyPort = await listenProxy([
+      () => {}
+    ])
+    await expectError(connect({ 'type': IrcProxyType.socks5, 'port': proxyPort, 'timeout': 100 }), 'proxyTimeout')
+  })
+})